@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * JSON Re-Formatter CLI
+ * Reformats a file with a preset exported from the web page. Uses the same core.js as the page,
+ * so the result is byte-identical to the page's download for the same input and preset.
+ *
+ * Usage: node cli.js <input> --preset <presets.json> [--name <preset>] [--format txt|json|csv|xlsx|...]
+ *                    [--record-path <path>] [--out <file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const core = require('./core.js');
+
+const FORMATS = core.OUTPUT_FORMATS;
+const PRESET_FILE_TYPE = 'json-reformatter-presets';
+
+const USAGE = `Usage: node cli.js <input> --preset <presets.json> [options]
+
+Options:
+  --preset <file>       Preset file exported from the page (내보내기)
+  --name <preset>       Preset to use when the file holds several
+  --format <format>     txt | json | ndjson | csv | md | html | xlsx | xml | yaml | sql
+                        (default: the preset's last used format)
+  --record-path <path>  Record array inside an object payload, e.g. $.data.items
+  --out <file>          Output file (default: stdout)
+  --help                Show this help`;
+
+function parseArgs(argv) {
+    const args = { input: null, preset: null, name: null, format: null, recordPath: null, out: null };
+    const valueFlags = {
+        '--preset': 'preset',
+        '--name': 'name',
+        '--format': 'format',
+        '--record-path': 'recordPath',
+        '--out': 'out',
+        '-o': 'out'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (valueFlags[arg]) {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            args[valueFlags[arg]] = argv[++i];
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (args.input === null) {
+            args.input = arg;
+        } else {
+            throw new Error(`Unexpected argument ${arg}`);
+        }
+    }
+    return args;
+}
+
+function loadPreset(file, name) {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Cannot read preset ${file}: ${err.message}`);
+    }
+
+    // An exported preset file, a single preset, or a bare transform config
+    let presets;
+    if (parsed && parsed.type === PRESET_FILE_TYPE && Array.isArray(parsed.presets)) {
+        presets = parsed.presets;
+    } else if (parsed && parsed.config && typeof parsed.config === 'object') {
+        presets = [parsed];
+    } else if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return { name: path.basename(file), config: parsed };
+    } else {
+        throw new Error(`${file} is not a preset file`);
+    }
+
+    if (name !== null) {
+        const preset = presets.find(p => p.name === name);
+        if (!preset) throw new Error(`No preset named "${name}" in ${file}`);
+        return preset;
+    }
+    if (presets.length !== 1) {
+        const names = presets.map(p => `"${p.name}"`).join(', ');
+        throw new Error(`${file} holds ${presets.length} presets (${names}); choose one with --name`);
+    }
+    return presets[0];
+}
+
+function run(argv) {
+    const args = parseArgs(argv);
+    if (args.help || !args.input || !args.preset) {
+        console.log(USAGE);
+        return args.help ? 0 : 1;
+    }
+
+    const preset = loadPreset(args.preset, args.name);
+    const config = core.createTransformConfig(preset.config);
+    const format = args.format || preset.config.outputFormat || 'txt';
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unsupported format "${format}" (use ${FORMATS.join(', ')})`);
+    }
+
+    // The page reads files into a textarea, which turns CRLF/CR into LF
+    const text = fs.readFileSync(args.input, 'utf8').replace(/\r\n?/g, '\n');
+    const input = core.parseInputText(text, config.importOptions);
+    input.errors.forEach(e => console.error(`Warning: line ${e.line}: ${e.message}`));
+
+    const recordPath = args.recordPath || core.pickRecordPath(
+        input.root, core.findRecordArrays(input.root), config.recordPath);
+    const records = core.selectJsonPath(input.root, recordPath);
+    if (!records || records.length === 0) {
+        throw new Error(`No records at ${recordPath}`);
+    }
+
+    if (config.validation.schema) {
+        const invalid = core.validateRecords(records, config.validation.schema);
+        if (invalid.length > 0) {
+            const action = config.validation.excludeInvalid ? 'excluded' : 'kept';
+            console.error(`Warning: ${invalid.length} records fail the JSON Schema (${action}), first at record ${invalid[0].row + 1}`);
+        }
+    }
+
+    const available = core.collectFields(records, config.options.arrayMode, config.derivedFields);
+    Object.assign(config, core.resolveFieldSelection(available, config));
+
+    // Written piece by piece, so large outputs never exist as one string
+    const fd = args.out ? fs.openSync(args.out, 'w') : null;
+    try {
+        for (const chunk of core.iterateOutput(records, config, format, { encode: true })) {
+            // xlsx comes as bytes, every other format as text
+            if (fd !== null) fs.writeSync(fd, chunk, ...(typeof chunk === 'string' ? [null, 'utf8'] : []));
+            else process.stdout.write(chunk);
+        }
+    } finally {
+        if (fd !== null) fs.closeSync(fd);
+    }
+    Object.entries(config.derivedErrors).forEach(([field, message]) => {
+        console.error(`Warning: derived field ${field}: ${message}`);
+    });
+    Object.entries(config.coercionErrors).forEach(([field, count]) => {
+        console.error(`Warning: field ${field}: ${count} values could not be converted to ${config.fieldTypes[field]}`);
+    });
+    if (config.unencodableChars > 0) {
+        console.error(`Warning: ${config.unencodableChars} characters have no ${config.exportOptions.encoding} encoding and were written as "?"`);
+    }
+
+    if (args.out) {
+        console.error(`Wrote ${args.out} (${format}, ${records.length} input records, preset "${preset.name}")`);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = run(process.argv.slice(2));
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { run };
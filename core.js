@@ -0,0 +1,2858 @@
+/**
+ * JSON Re-Formatter Core
+ * DOM-free parsing, field extraction, mapping and formatting.
+ * Loaded as a plain script by index.html (before script.js) and required by cli.js in Node,
+ * so both produce the same output for the same input and transform config.
+ */
+
+// --- Transform Config ---
+// A transform config holds everything that shapes the output. In the browser it is appState itself;
+// in Node it comes from a saved preset via createTransformConfig.
+
+const DEFAULT_OPTIONS = {
+    useTab: true,
+    singleLine: false,
+    startIndent: 0,
+    fieldSpacing: 1,
+    arrayMode: 'join',     // 'join': arrays are one field, 'index': expand to tags[0], tags[1]...
+    arraySeparator: ', ',  // Used when arrays are joined into a single value
+    txtMode: 'plain',      // 'plain': values joined by separator, 'template': lineTemplate per record,
+                           // 'fixed': aligned columns sized to the widest value
+    lineTemplate: '',      // e.g. "{name}  {depth:>3} 바 {count|0}"
+    fixedMaxWidth: 0       // Fixed mode: truncate longer values with "…" (0 = no limit)
+};
+
+const DEFAULT_IMPORT_OPTIONS = {
+    delimiter: 'auto', // 'auto' | ',' | ';' | '\t' | '|'
+    header: 'auto',    // 'auto' | 'yes' | 'no'
+    inferTypes: true   // "12" -> 12, "true" -> true, "null" -> null
+};
+
+const DEFAULT_CSV_OPTIONS = {
+    delimiter: ',',      // ',' | ';' | '\t' | '|'
+    quote: 'minimal',    // 'minimal': only values that need it, 'always': every value
+    lineEnding: 'lf',    // 'lf' | 'crlf'
+    bom: false,          // UTF-8 byte order mark, so Excel reads Korean text correctly
+    nullValue: '',       // Written for null values
+    header: true,
+    headerLabels: {},    // Header text per field (missing = field name)
+    formulaGuard: false  // Prefix =, +, -, @ values with ' so spreadsheets don't run them as formulas
+};
+
+const DEFAULT_EXPORT_OPTIONS = {
+    xmlRoot: 'records',  // XML document element
+    xmlRow: 'record',    // XML element per row
+    sqlTable: 'records', // INSERT target, "schema.table" allowed
+    sqlDialect: 'mysql', // 'mysql' | 'postgres' | 'sqlite' | 'mssql' (identifier and value quoting)
+    jsonShape: 'records', // 'records': array of objects, 'result': { "result": TXT }, 'lines': array of TXT lines
+    csvShape: 'records',  // 'records': one column per field, 'result': the TXT lines in a single "result" column
+    trailingNewline: false, // End the TXT output (copy and download alike) with a newline
+    encoding: 'utf-8',   // Files only: 'utf-8' | 'utf-8-bom' | 'euc-kr' (CP949, for legacy Korean tools)
+    lineEnding: 'lf'     // Files only: 'lf' | 'crlf'
+};
+
+// Every format iterateOutput produces; xlsx yields bytes (Uint8Array), the rest text
+const OUTPUT_FORMATS = ['txt', 'json', 'ndjson', 'csv', 'md', 'html', 'xlsx', 'xml', 'yaml', 'sql'];
+
+function createTransformConfig(overrides = {}) {
+    // Fills in defaults; the result is a detached copy
+    const c = JSON.parse(JSON.stringify(overrides));
+    return {
+        fields: c.fields || [],
+        selectedFields: c.selectedFields || c.fields || [],
+        options: { ...DEFAULT_OPTIONS, ...(c.options || {}) },
+        columnAlign: c.columnAlign || {},
+        mappings: c.mappings || [],
+        derivedFields: c.derivedFields || [],
+        derivedErrors: {},
+        fieldTypes: c.fieldTypes || {},
+        coercionErrors: {},
+        fieldFormats: c.fieldFormats || {},
+        csvOptions: { ...DEFAULT_CSV_OPTIONS, headerLabels: {}, ...(c.csvOptions || {}) },
+        exportOptions: { ...DEFAULT_EXPORT_OPTIONS, ...(c.exportOptions || {}) },
+        unencodableChars: 0, // Filled by file output: characters the encoding had no bytes for
+        validation: { schema: null, excludeInvalid: false, ...(c.validation || {}) },
+        rowFilter: c.rowFilter || { logic: 'and', groups: [] },
+        sortKeys: c.sortKeys || [],
+        groupBy: c.groupBy || { enabled: false, fields: [], aggregates: [] },
+        importOptions: { ...DEFAULT_IMPORT_OPTIONS, ...(c.importOptions || {}) },
+        recordPath: c.recordPath || '$'
+    };
+}
+
+const OUTPUT_CHUNK_ROWS = 2000; // Rows per piece when output is produced incrementally
+
+// The config the functions below read (mappings, derived fields, array separator...)
+let activeConfig = createTransformConfig();
+
+function useTransformConfig(config) {
+    activeConfig = config;
+}
+
+// --- Output Logic ---
+
+function formatOutput(records, config, format = 'txt', limit = Infinity) {
+    // Formats records with the given config without touching the active one.
+    // limit cuts the output to the first N rows (after filter, sort and grouping) for previews.
+    let text = '';
+    for (const chunk of iterateOutput(records, config, format, { limit })) {
+        text += chunk;
+    }
+    return text;
+}
+
+function* iterateOutput(records, config, format = 'txt', options = {}) {
+    // Same output as formatOutput, yielded in pieces of options.chunkRows rows so large exports
+    // can be written out (Blob parts, file stream) without building one huge string.
+    // options.onProgress(doneRows, totalRows) is called after each piece. options.selected says the
+    // records are already filtered and sorted (selectOutputRecords), so that isn't done again.
+    const chunks = renderOutput(records, format, options);
+    while (true) {
+        // The config is only active while the renderer runs, between yields it is restored
+        const previous = activeConfig;
+        activeConfig = config;
+        let step;
+        try {
+            step = chunks.next();
+        } finally {
+            activeConfig = previous;
+        }
+        if (step.done) return;
+        yield step.value;
+    }
+}
+
+function* renderOutput(records, format, { limit = Infinity, chunkRows = OUTPUT_CHUNK_ROWS, onProgress = null, encode = false, selected = false } = {}) {
+    if (encode) {
+        // Files (downloads, CLI) get the encoding and line endings; copy and preview keep the text
+        yield* encodeOutput(renderOutput(records, format, { limit, chunkRows, onProgress, selected }), format);
+        return;
+    }
+    if (format === 'xlsx') {
+        // The worksheet is rendered like the text formats, then packed into a workbook
+        yield* buildXlsx(renderOutput(records, 'xlsxSheet', { limit, chunkRows, onProgress, selected }));
+        return;
+    }
+    // Text shapes: the exact TXT output, only put in a JSON or CSV container
+    const { jsonShape, csvShape, trailingNewline } = activeConfig.exportOptions;
+    const textShape = format === 'json' ? jsonShape : format === 'csv' ? csvShape : 'records';
+    if (textShape !== 'records') {
+        yield* wrapTextOutput(renderOutput(records, 'txt', { limit, chunkRows, onProgress, selected }), format, textShape, trailingNewline);
+        return;
+    }
+
+    // Template mode renders the fields its placeholders name, instead of the checked ones
+    const template = format === 'txt' && activeConfig.options.txtMode === 'template' && activeConfig.options.lineTemplate.trim()
+        ? parseTemplate(activeConfig.options.lineTemplate)
+        : null;
+    // Group-by mode outputs one row per group, with the group fields and aggregates as columns
+    const grouping = isGroupingActive();
+    const columns = grouping ? getGroupColumns(activeConfig.groupBy) : activeConfig.selectedFields;
+    const keys = template ? getTemplateFields(template) : columns;
+
+    // 1. Filter and Reorder Data (rows are projected lazily, one piece at a time)
+    const outputRecords = selected ? records : selectOutputRecords(records);
+    const rows = grouping
+        ? groupRecords(outputRecords, activeConfig.groupBy).slice(0, limit)
+        : outputRecords.slice(0, limit);
+    const project = grouping
+        ? row => pickColumns(row, keys)
+        : item => projectRecord(item, keys);
+
+    // 2. Format: each format is a head, one string per row, a row separator and a tail
+    const arraySep = activeConfig.options.arraySeparator;
+    let head = '';
+    let tail = '';
+    let joiner = '\n';
+    let renderRow;
+    let projected = null; // Rows already projected by a measuring pass, rendered as they are
+
+    if (format === 'json') {
+        // Same text as JSON.stringify(rows, null, 2), built row by row
+        if (rows.length === 0) {
+            yield '[]';
+            return;
+        }
+        head = '[\n';
+        tail = '\n]';
+        joiner = ',\n';
+        renderRow = item => '  ' + JSON.stringify(item, null, 2).replace(/\n/g, '\n  ');
+    }
+    else if (format === 'ndjson') {
+        renderRow = item => JSON.stringify(item);
+    }
+    else if (format === 'md') {
+        // GitHub-flavored Markdown table
+        const cell = val => escapeMarkdownCell(stringifyValue(val === null ? '' : val, arraySep));
+        head = `| ${columns.map(cell).join(' | ')} |\n|${columns.map(() => ' --- ').join('|')}|\n`;
+        renderRow = item => `| ${columns.map(key => cell(item[key])).join(' | ')} |`;
+    }
+    else if (format === 'html') {
+        const cell = (tag, val) => `<${tag}>${escapeXml(stringifyValue(val === null ? '' : val, arraySep)).replace(/\n/g, '<br>')}</${tag}>`;
+        head = `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="${getOutputCharset().toLowerCase()}">\n</head>\n<body>\n<table>\n`
+            + `<thead>\n<tr>${columns.map(key => cell('th', key)).join('')}</tr>\n</thead>\n<tbody>\n`;
+        tail = '\n</tbody>\n</table>\n</body>\n</html>\n';
+        renderRow = item => `<tr>${columns.map(key => cell('td', item[key])).join('')}</tr>`;
+        if (rows.length === 0) tail = tail.slice(1);
+    }
+    else if (format === 'xml') {
+        const { xmlRoot, xmlRow } = activeConfig.exportOptions;
+        const root = toXmlName(xmlRoot || DEFAULT_EXPORT_OPTIONS.xmlRoot);
+        const rowName = toXmlName(xmlRow || DEFAULT_EXPORT_OPTIONS.xmlRow);
+        const names = columns.map(key => toXmlName(key));
+        const declaration = `<?xml version="1.0" encoding="${getOutputCharset()}"?>\n`;
+        head = `${declaration}<${root}>\n`;
+        tail = `\n</${root}>\n`;
+        if (rows.length === 0) {
+            yield `${declaration}<${root}/>\n`;
+            return;
+        }
+        renderRow = item => `  <${rowName}>\n` + columns.map((key, c) => {
+            const val = item[key];
+            const text = val === null || val === '' ? '' : escapeXml(stringifyValue(val, arraySep));
+            return text === '' ? `    <${names[c]}/>` : `    <${names[c]}>${text}</${names[c]}>`;
+        }).join('\n') + `\n  </${rowName}>`;
+    }
+    else if (format === 'yaml') {
+        // A sequence of mappings; nested values (arrays kept whole) stay nested
+        if (rows.length === 0) {
+            yield '[]\n';
+            return;
+        }
+        tail = '\n';
+        renderRow = item => Object.keys(item).length === 0 ? '- {}' : '- ' + renderYamlMapping(item, '  ');
+    }
+    else if (format === 'sql') {
+        const { sqlTable, sqlDialect } = activeConfig.exportOptions;
+        const table = String(sqlTable || DEFAULT_EXPORT_OPTIONS.sqlTable).split('.')
+            .map(part => quoteSqlIdentifier(part, sqlDialect)).join('.');
+        const prefix = `INSERT INTO ${table} (${columns.map(key => quoteSqlIdentifier(key, sqlDialect)).join(', ')}) VALUES (`;
+        renderRow = item => prefix + columns.map(key => toSqlLiteral(item[key], sqlDialect, arraySep)).join(', ') + ');';
+        tail = rows.length > 0 ? '\n' : '';
+    }
+    else if (format === 'xlsxSheet') {
+        // SpreadsheetML worksheet with inline strings; bold header row, frozen below it
+        const refs = columns.map((_, c) => toColumnLetters(c));
+        let rowNumber = 1;
+        head = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            + '<sheetData><row r="1">'
+            + columns.map((key, c) => `<c r="${refs[c]}1" t="inlineStr" s="1"><is><t xml:space="preserve">${escapeXml(key)}</t></is></c>`).join('')
+            + '</row>';
+        joiner = '';
+        tail = '</sheetData></worksheet>';
+        renderRow = item => {
+            rowNumber++;
+            const cells = columns.map((key, c) => renderXlsxCell(item[key], `${refs[c]}${rowNumber}`, arraySep)).join('');
+            return `<row r="${rowNumber}">${cells}</row>`;
+        };
+    }
+    else if (format === 'csv') {
+        const csv = activeConfig.csvOptions;
+        const eol = csv.lineEnding === 'crlf' ? '\r\n' : '\n';
+        joiner = eol;
+        // Header
+        head = csv.bom ? '\uFEFF' : '';
+        if (csv.header) {
+            head += columns.map(key => quoteCsvValue(csv.headerLabels[key] || key, csv)).join(csv.delimiter) + eol;
+        }
+        // Rows
+        renderRow = item => {
+            return columns.map(key => quoteCsvValue(getCsvText(item[key], csv, arraySep), csv)).join(csv.delimiter);
+        };
+    }
+    else {
+        // TXT (Custom)
+        if (trailingNewline) tail = '\n';
+        // If tab is used, ignore field spacing option.
+        const separator = activeConfig.options.useTab ? '\t' : ' '.repeat(activeConfig.options.fieldSpacing);
+        const indent = ' '.repeat(activeConfig.options.startIndent);
+
+        if (activeConfig.options.singleLine) {
+            // All props in one line? No, requirement says:
+            // "JSON results" -> "Value Value Value"
+            joiner = ' '; // Single line for WHOLE output? Or single line per item?
+            renderRow = item => {
+                // Nulls print as empty values, like Array.join did before nested values were stringified
+                return Object.values(item)
+                    .map(v => (v === null || v === undefined ? '' : stringifyValue(v, arraySep)))
+                    .join(separator);
+            };
+            // "Single Line" usually means one item per line vs pretty printed.
+            // Let's assume standard is One Item Per Line.
+            // If user checks "Single Line", maybe join everything?
+            // Actually usually "Single Line" in JSON context means Minified.
+            // But here for TXT, let's assume it means remove newlines between items.
+            // Re-reading PRD: "띄어쓰기·엔터 규칙을 복수 조합"
+            // Let's stick to "One line per item" as default.
+        }
+        else if (activeConfig.options.txtMode === 'fixed') {
+            // Tabs would undo the alignment, so columns are always separated by spaces
+            const fixedOptions = {
+                gap: ' '.repeat(Math.max(1, activeConfig.options.fieldSpacing)),
+                maxWidth: activeConfig.options.fixedMaxWidth,
+                align: activeConfig.columnAlign,
+                arraySeparator: arraySep
+            };
+            // Column widths depend on every row, so measure in a first pass. The projected rows are
+            // kept: projecting again would count each coercion and expression error twice.
+            const layout = createFixedWidthLayout(columns);
+            projected = [];
+            for (let i = 0; i < rows.length; i += chunkRows) {
+                rows.slice(i, i + chunkRows).forEach(row => {
+                    const item = project(row);
+                    measureFixedWidthRow(layout, getFixedWidthCells(item, columns, fixedOptions));
+                    projected.push(item);
+                });
+            }
+            renderRow = item => indent + renderFixedWidthRow(layout, getFixedWidthCells(item, columns, fixedOptions), fixedOptions);
+        }
+        else if (template) {
+            renderRow = item => indent + renderTemplate(template, item, arraySep);
+        }
+        else {
+            renderRow = item => {
+                // Filter out nulls
+                const values = columns
+                    .map(key => item[key]) // Always follow selectedFields order
+                    .filter(v => v !== null && v !== "")
+                    .map(v => stringifyValue(v, arraySep));
+                return indent + values.join(separator);
+            };
+        }
+    }
+
+    // 3. Emit piece by piece
+    let pending = head;
+    for (let i = 0; i < rows.length; i += chunkRows) {
+        const piece = rows.slice(i, i + chunkRows)
+            .map((row, j) => renderRow(projected ? projected[i + j] : project(row))).join(joiner);
+        yield pending + (i > 0 ? joiner : '') + piece;
+        pending = '';
+        if (onProgress) onProgress(Math.min(i + chunkRows, rows.length), rows.length);
+    }
+    yield pending + tail;
+}
+
+function getCsvText(val, csv, arraySep) {
+    if (val === null || val === undefined) return csv.nullValue;
+    const text = stringifyValue(val, arraySep);
+    // Formula injection: a leading =, +, -, @ (or tab/CR) starts a formula in spreadsheets.
+    // Plain numbers such as -42 are left alone.
+    if (csv.formulaGuard && typeof val !== 'number' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+        return "'" + text;
+    }
+    return text;
+}
+
+function quoteCsvValue(text, csv) {
+    // RFC 4180: quotes doubled inside quoted values
+    const needsQuotes = csv.quote === 'always'
+        || text.includes(csv.delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r');
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function selectOutputIndices(records) {
+    // Indices of the rows to output: JSON Schema and row filter first, then sort keys
+    const predicate = compileRowFilter(activeConfig.rowFilter);
+    const { schema, excludeInvalid } = activeConfig.validation;
+    const dropInvalid = excludeInvalid && schema;
+    const indices = [];
+    records.forEach((item, index) => {
+        if (dropInvalid && validateRecord(item, schema).length > 0) return;
+        if (!predicate || predicate(item)) indices.push(index);
+    });
+
+    const comparator = compileSortKeys(activeConfig.sortKeys);
+    if (comparator) {
+        // Array.prototype.sort is stable, so equal rows keep source order
+        indices.sort((a, b) => comparator(records[a], records[b]));
+    }
+    return indices;
+}
+
+function selectOutputRecords(records) {
+    return selectOutputIndices(records).map(index => records[index]);
+}
+
+function projectRecord(item, keys) {
+    const filteredItem = {};
+    keys.forEach(key => {
+        // Resolve (possibly nested) path or computed field, handle missing keys gracefully
+        let val = getFieldValue(item, key);
+        const missing = val === undefined;
+        if (missing) val = '';
+
+        // Coerce to the field's target type, before mappings see the value
+        const targetType = activeConfig.fieldTypes[key];
+        if (targetType && !missing) {
+            val = coerceFieldValue(val, key, targetType);
+        }
+
+        // Apply Mappings
+        if (activeConfig.mappings && activeConfig.mappings.length > 0) {
+            val = applyMappingRules(val, key, missing);
+        }
+
+        // Display formatting (numbers, dates, case, padding...) comes last
+        if (activeConfig.fieldFormats[key]) {
+            val = formatFieldValue(val, key);
+        }
+
+        // Store (nulls will be filtered in renderOutput)
+        filteredItem[key] = val;
+    });
+    return filteredItem;
+}
+
+// --- Condition Logic ---
+// Shared operator matching for mapping rules. Text comparisons use the trimmed display string.
+
+const CONDITION_OPS = {
+    equals: '같음 (=)',
+    contains: '포함',
+    startsWith: '시작 문자',
+    endsWith: '끝 문자',
+    regex: '정규식',
+    gt: '> 초과',
+    gte: '≥ 이상',
+    lt: '< 미만',
+    lte: '≤ 이하',
+    between: '범위 (이상~이하)',
+    empty: '비어 있음',
+    missing: '필드 없음',
+    default: '그 외 모두'
+};
+
+// Row filter operators (mapping ones plus negations)
+const FILTER_OPS = {
+    equals: '같음 (=)',
+    notEquals: '같지 않음 (≠)',
+    contains: '포함',
+    notContains: '포함 안 함',
+    startsWith: '시작 문자',
+    endsWith: '끝 문자',
+    regex: '정규식',
+    gt: '> 초과',
+    gte: '≥ 이상',
+    lt: '< 미만',
+    lte: '≤ 이하',
+    between: '범위 (이상~이하)',
+    empty: '비어 있음',
+    notEmpty: '비어 있지 않음'
+};
+
+// Operators that don't take a comparison value
+const VALUELESS_OPS = ['empty', 'notEmpty', 'missing', 'default'];
+
+const regexCache = new Map();
+
+function compileRegex(source) {
+    // Accepts "pattern" or "/pattern/flags"
+    if (regexCache.has(source)) return regexCache.get(source);
+    const literal = source.match(/^\/(.*)\/([a-z]*)$/s);
+    const regex = literal ? new RegExp(literal[1], literal[2]) : new RegExp(source);
+    regexCache.set(source, regex);
+    return regex;
+}
+
+function toNumber(val) {
+    if (typeof val === 'number') return val;
+    const text = String(val).trim().replace(/,/g, '');
+    return text === '' ? NaN : Number(text);
+}
+
+function matchesCondition(val, op, a, b, missing) {
+    const text = missing ? '' : stringifyValue(val, activeConfig.options.arraySeparator).trim();
+    const target = a === undefined || a === null ? '' : String(a).trim();
+
+    switch (op) {
+        case 'equals': return text === target;
+        case 'notEquals': return text !== target;
+        case 'contains': return text.includes(target);
+        case 'notContains': return !text.includes(target);
+        case 'startsWith': return text.startsWith(target);
+        case 'endsWith': return text.endsWith(target);
+        case 'regex': {
+            const regex = compileRegex(String(a));
+            regex.lastIndex = 0;
+            return regex.test(text);
+        }
+        case 'gt': return toNumber(text) > toNumber(a);
+        case 'gte': return toNumber(text) >= toNumber(a);
+        case 'lt': return toNumber(text) < toNumber(a);
+        case 'lte': return toNumber(text) <= toNumber(a);
+        case 'between': {
+            const n = toNumber(text);
+            const lo = Math.min(toNumber(a), toNumber(b));
+            const hi = Math.max(toNumber(a), toNumber(b));
+            return n >= lo && n <= hi;
+        }
+        case 'empty':
+            return missing || val === null || text === '' || (Array.isArray(val) && val.length === 0);
+        case 'notEmpty': return !matchesCondition(val, 'empty', a, b, missing);
+        case 'missing': return missing;
+        case 'default': return true;
+        default: return false;
+    }
+}
+
+function isActiveCondition(condition) {
+    // Half-filled conditions are ignored instead of hiding every row while typing
+    if (!condition.field) return false;
+    if (VALUELESS_OPS.includes(condition.op)) return true;
+    if (condition.value === '' || (condition.op === 'between' && condition.value2 === '')) return false;
+    if (condition.op === 'regex') {
+        try {
+            compileRegex(condition.value);
+        } catch (err) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function compileRowFilter(filter) {
+    // Returns a record predicate, or null when no condition is active
+    const groups = filter.groups
+        .map(group => ({ logic: group.logic, conditions: group.conditions.filter(isActiveCondition) }))
+        .filter(group => group.conditions.length > 0);
+    if (groups.length === 0) return null;
+
+    const conditionMatches = (item, c) => {
+        const val = getFieldValue(item, c.field);
+        return matchesCondition(val, c.op, c.value, c.value2, val === undefined);
+    };
+    const groupMatches = (item, group) => group.logic === 'or'
+        ? group.conditions.some(c => conditionMatches(item, c))
+        : group.conditions.every(c => conditionMatches(item, c));
+
+    return filter.logic === 'or'
+        ? (item) => groups.some(group => groupMatches(item, group))
+        : (item) => groups.every(group => groupMatches(item, group));
+}
+
+// --- Sort Logic ---
+
+const koreanCollator = new Intl.Collator('ko', { numeric: true, sensitivity: 'base' });
+
+function compileSortKeys(sortKeys) {
+    // Returns a record comparator, or null when there are no usable keys
+    const keys = sortKeys.filter(key => key.field);
+    if (keys.length === 0) return null;
+
+    const isMissing = (val) => val === undefined || val === null || val === '';
+    const compareBy = {
+        numeric: (a, b) => toNumber(a) - toNumber(b),
+        string: (a, b) => {
+            const ta = toText(a);
+            const tb = toText(b);
+            return ta < tb ? -1 : ta > tb ? 1 : 0;
+        },
+        locale: (a, b) => koreanCollator.compare(toText(a), toText(b)),
+        auto: (a, b) => {
+            const na = toNumber(a);
+            const nb = toNumber(b);
+            if (!isNaN(na) && !isNaN(nb)) return na - nb;
+            return koreanCollator.compare(toText(a), toText(b));
+        }
+    };
+
+    return (itemA, itemB) => {
+        for (const key of keys) {
+            const a = getFieldValue(itemA, key.field);
+            const b = getFieldValue(itemB, key.field);
+            // Numeric sort treats non-numbers as missing
+            const missingA = isMissing(a) || (key.compare === 'numeric' && isNaN(toNumber(a)));
+            const missingB = isMissing(b) || (key.compare === 'numeric' && isNaN(toNumber(b)));
+
+            // Missing values go first/last regardless of direction
+            if (missingA || missingB) {
+                if (missingA && missingB) continue;
+                return (missingA ? 1 : -1) * (key.missing === 'first' ? -1 : 1);
+            }
+
+            const result = (compareBy[key.compare] || compareBy.auto)(a, b);
+            if (result !== 0) return key.direction === 'desc' ? -result : result;
+        }
+        return 0;
+    };
+}
+
+// --- Group Logic ---
+
+const AGGREGATE_OPS = {
+    count: '개수',
+    sum: '합계',
+    avg: '평균',
+    min: '최솟값',
+    max: '최댓값',
+    distinct: '고유 개수',
+    concat: '값 목록'
+};
+
+function isGroupingActive() {
+    return activeConfig.groupBy.enabled && activeConfig.groupBy.fields.some(field => field);
+}
+
+function getAggregateName(aggregate) {
+    if (aggregate.as && aggregate.as.trim()) return aggregate.as.trim();
+    return aggregate.field ? `${aggregate.op}_${aggregate.field}` : aggregate.op;
+}
+
+function getGroupColumns(groupBy) {
+    const columns = groupBy.fields.filter(field => field);
+    groupBy.aggregates.forEach(aggregate => {
+        const name = getAggregateName(aggregate);
+        if (!columns.includes(name)) columns.push(name);
+    });
+    return columns;
+}
+
+function aggregateValues(op, values, rowCount) {
+    // values holds the non-empty values of the aggregated field, in output order
+    const numbers = values.map(toNumber).filter(n => !isNaN(n));
+    const allNumeric = numbers.length === values.length;
+
+    switch (op) {
+        case 'count':
+            return rowCount;
+        case 'sum':
+            return numbers.reduce((sum, n) => sum + n, 0);
+        case 'avg':
+            return numbers.length ? numbers.reduce((sum, n) => sum + n, 0) / numbers.length : null;
+        case 'min':
+        case 'max': {
+            if (values.length === 0) return null;
+            const sign = op === 'min' ? 1 : -1;
+            // reduce, not Math.min(...numbers): spreading a large group overflows the call stack
+            if (allNumeric) return numbers.reduce((best, n) => (sign * (n - best) < 0 ? n : best));
+            // Mixed or text values compare by Korean collation
+            return values.reduce((best, v) =>
+                sign * koreanCollator.compare(toText(v), toText(best)) < 0 ? v : best);
+        }
+        case 'distinct':
+            return new Set(values.map(v => stringifyValue(v, ', '))).size;
+        case 'concat':
+            // Arrays are joined with the array separator in TXT/CSV and stay arrays in JSON
+            return values;
+        default:
+            return null;
+    }
+}
+
+function groupRecords(records, groupBy) {
+    // Groups appear in order of first occurrence, so the sort keys order them too
+    const fields = groupBy.fields.filter(field => field);
+    const groups = new Map();
+
+    records.forEach(item => {
+        // Group on the mapped values, as they would be printed
+        const keyValues = projectRecord(item, fields);
+        const groupKey = JSON.stringify(fields.map(field => stringifyValue(keyValues[field], ', ')));
+        if (!groups.has(groupKey)) groups.set(groupKey, { keyValues, items: [] });
+        groups.get(groupKey).items.push(item);
+    });
+
+    return [...groups.values()].map(({ keyValues, items }) => {
+        const row = { ...keyValues };
+        groupBy.aggregates.forEach(aggregate => {
+            let values = [];
+            if (aggregate.field) {
+                values = items
+                    .map(item => getFieldValue(item, aggregate.field))
+                    .filter(v => v !== undefined && v !== null && v !== '');
+            }
+            // count without a field counts rows, with a field counts non-empty values
+            const rowCount = aggregate.field ? values.length : items.length;
+            row[getAggregateName(aggregate)] = aggregateValues(aggregate.op, values, rowCount);
+        });
+        return row;
+    });
+}
+
+function pickColumns(row, keys) {
+    const picked = {};
+    keys.forEach(key => {
+        const val = row[key] !== undefined && row[key] !== null ? row[key] : '';
+        picked[key] = activeConfig.fieldFormats[key] ? formatFieldValue(val, key) : val;
+    });
+    return picked;
+}
+
+function applyMappingRules(val, field, missing) {
+    // Rules run in list order; the first one that matches decides the value
+    for (const rule of activeConfig.mappings) {
+        if (rule.field !== field) continue;
+        const op = rule.op || 'equals'; // Rules saved before operators existed
+        if (!matchesCondition(val, op, rule.from, rule.from2, missing)) continue;
+
+        if (rule.type === 'remove') return null; // Mark for removal
+        if (op === 'regex') {
+            // Replace the matched part; "$1" etc. refer to capture groups
+            const text = stringifyValue(val, activeConfig.options.arraySeparator);
+            return text.replace(compileRegex(String(rule.from)), rule.to);
+        }
+        return rule.to;
+    }
+    return val;
+}
+
+// --- Expression Logic ---
+// Derived fields use a small sandboxed language (parsed here, never eval'd):
+//   fields: name, address.city, tags[0], `field with spaces`   literals: 12, 'text', "text", true, null
+//   operators: + (numbers add, text concatenates) - * / %  == != < <= > >=  && || ! ??  cond ? a : b
+//   functions: see EXPRESSION_FUNCTIONS
+
+const expressionCache = new Map();
+
+function tokenizeExpression(src) {
+    const tokens = [];
+    const identStart = /[A-Za-z_$\u00C0-\uFFFF]/;
+    const identChar = /[\w$\u00C0-\uFFFF]/;
+    let i = 0;
+
+    while (i < src.length) {
+        const ch = src[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        // Numbers
+        const num = src.slice(i).match(/^\d+(\.\d+)?([eE][+-]?\d+)?/);
+        if (num) {
+            tokens.push({ type: 'num', value: Number(num[0]) });
+            i += num[0].length;
+            continue;
+        }
+
+        // Strings
+        if (ch === '"' || ch === "'") {
+            let value = '';
+            let j = i + 1;
+            while (j < src.length && src[j] !== ch) {
+                if (src[j] === '\\' && j + 1 < src.length) {
+                    const esc = src[j + 1];
+                    value += esc === 'n' ? '\n' : esc === 't' ? '\t' : esc;
+                    j += 2;
+                } else {
+                    value += src[j++];
+                }
+            }
+            if (j >= src.length) throw new Error('닫히지 않은 문자열');
+            tokens.push({ type: 'str', value });
+            i = j + 1;
+            continue;
+        }
+
+        // `quoted field name`
+        if (ch === '`') {
+            const end = src.indexOf('`', i + 1);
+            if (end === -1) throw new Error('닫히지 않은 ` 필드명');
+            tokens.push({ type: 'field', value: src.slice(i + 1, end), start: i, end: end + 1 });
+            i = end + 1;
+            continue;
+        }
+
+        // Identifiers / field paths (address.city, tags[0], data["a.b"])
+        if (identStart.test(ch)) {
+            const start = i;
+            let j = i + 1;
+            while (j < src.length) {
+                if (identChar.test(src[j])) {
+                    j++;
+                } else if (src[j] === '.' && identStart.test(src[j + 1] || '')) {
+                    j += 2;
+                } else if (src[j] === '[' && /[\d"]/.test(src[j + 1] || '')) {
+                    j = findBracketEnd(src, j) + 1;
+                } else {
+                    break;
+                }
+            }
+            const word = src.slice(i, j);
+            i = j;
+            if (word === 'true' || word === 'false') tokens.push({ type: 'lit', value: word === 'true' });
+            else if (word === 'null') tokens.push({ type: 'lit', value: null });
+            else tokens.push({ type: 'ident', value: word, start, end: j });
+            continue;
+        }
+
+        const two = src.slice(i, i + 2);
+        if (['==', '!=', '<=', '>=', '&&', '||', '??'].includes(two)) {
+            tokens.push({ type: 'op', value: two });
+            i += 2;
+            continue;
+        }
+        if ('+-*/%<>!?:(),'.includes(ch)) {
+            tokens.push({ type: 'op', value: ch });
+            i++;
+            continue;
+        }
+        throw new Error(`알 수 없는 문자 "${ch}"`);
+    }
+    return tokens;
+}
+
+function parseExpression(src) {
+    if (expressionCache.has(src)) return expressionCache.get(src);
+
+    const tokens = tokenizeExpression(src);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+    const expect = (value) => {
+        if (!isOp(value)) throw new Error(`"${value}" 필요`);
+        pos++;
+    };
+
+    // Binary operator levels, lowest precedence first
+    const levels = [['??'], ['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+    const parseTernary = () => {
+        const cond = parseBinary(0);
+        if (!isOp('?')) return cond;
+        pos++;
+        const a = parseTernary();
+        expect(':');
+        const b = parseTernary();
+        return { t: 'cond', c: cond, a, b };
+    };
+
+    const parseBinary = (level) => {
+        if (level === levels.length) return parseUnary();
+        let left = parseBinary(level + 1);
+        while (peek() && peek().type === 'op' && levels[level].includes(peek().value)) {
+            const op = tokens[pos++].value;
+            left = { t: 'bin', op, a: left, b: parseBinary(level + 1) };
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        if (isOp('!') || isOp('-')) {
+            const op = tokens[pos++].value;
+            return { t: 'un', op, a: parseUnary() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[pos++];
+        if (!token) throw new Error('식이 끝나지 않았습니다');
+        if (token.type === 'num' || token.type === 'str' || token.type === 'lit') return { t: 'lit', v: token.value };
+        if (token.type === 'field') return { t: 'field', path: token.value };
+        if (token.type === 'ident') {
+            if (!isOp('(')) return { t: 'field', path: token.value };
+            const name = token.value;
+            if (!Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, name)) {
+                throw new Error(`알 수 없는 함수 ${name}()`);
+            }
+            pos++;
+            const args = [];
+            if (!isOp(')')) {
+                do {
+                    if (isOp(',')) pos++;
+                    args.push(parseTernary());
+                } while (isOp(','));
+            }
+            expect(')');
+            return { t: 'call', name, args };
+        }
+        if (token.type === 'op' && token.value === '(') {
+            const inner = parseTernary();
+            expect(')');
+            return inner;
+        }
+        throw new Error(`예상치 못한 "${token.value}"`);
+    };
+
+    const ast = parseTernary();
+    if (pos < tokens.length) throw new Error(`예상치 못한 "${tokens[pos].value}"`);
+    expressionCache.set(src, ast);
+    return ast;
+}
+
+function renameExpressionField(src, oldName, newName) {
+    // Rewrites references to a renamed field. Function names and strings stay as they are; the new
+    // name is written bare when it reads back as the same field, otherwise in backticks.
+    const tokens = tokenizeExpression(src);
+    let reference = `\`${newName}\``;
+    try {
+        const bare = tokenizeExpression(newName);
+        if (bare.length === 1 && bare[0].type === 'ident' && bare[0].value === newName) reference = newName;
+    } catch (err) {
+        // Not an identifier: keep the backticks
+    }
+
+    let out = '';
+    let last = 0;
+    tokens.forEach((token, i) => {
+        const next = tokens[i + 1];
+        const isCall = token.type === 'ident' && next && next.type === 'op' && next.value === '(';
+        if ((token.type !== 'field' && token.type !== 'ident') || isCall || token.value !== oldName) return;
+        out += src.slice(last, token.start) + reference;
+        last = token.end;
+    });
+    return out + src.slice(last);
+}
+
+function toText(val) {
+    if (val === null || val === undefined) return '';
+    if (val instanceof Date) return formatDate(val, 'YYYY-MM-DD HH:mm:ss');
+    return stringifyValue(val, activeConfig.options.arraySeparator);
+}
+
+function toDate(val) {
+    if (val instanceof Date) return val;
+    if (val === null || val === undefined || val === '') return null;
+    // Numbers are epoch milliseconds; "20240131" style compact dates are expanded
+    const compact = typeof val === 'string' && val.match(/^(\d{4})(\d{2})(\d{2})$/);
+    const date = compact ? new Date(+compact[1], compact[2] - 1, +compact[3]) : new Date(val);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function formatDate(date, pattern) {
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    const parts = {
+        YYYY: date.getFullYear(), YY: pad(date.getFullYear() % 100),
+        MM: pad(date.getMonth() + 1), M: date.getMonth() + 1,
+        DD: pad(date.getDate()), D: date.getDate(),
+        HH: pad(date.getHours()), H: date.getHours(),
+        mm: pad(date.getMinutes()), ss: pad(date.getSeconds())
+    };
+    return pattern.replace(/YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g, token => parts[token]);
+}
+
+function looseEquals(a, b) {
+    const isNullA = a === null || a === undefined;
+    const isNullB = b === null || b === undefined;
+    // null and undefined only equal each other
+    if (isNullA || isNullB) return isNullA && isNullB;
+    if (typeof a === 'number' || typeof b === 'number') return toNumber(a) === toNumber(b);
+    if (typeof a === 'boolean' || typeof b === 'boolean') return String(a) === String(b);
+    return toText(a) === toText(b);
+}
+
+function compareValues(a, b) {
+    const na = toNumber(a);
+    const nb = toNumber(b);
+    if (!isNaN(na) && !isNaN(nb)) return na - nb;
+    const ta = toText(a);
+    const tb = toText(b);
+    return ta < tb ? -1 : ta > tb ? 1 : 0;
+}
+
+const EXPRESSION_FUNCTIONS = {
+    upper: (s) => toText(s).toUpperCase(),
+    lower: (s) => toText(s).toLowerCase(),
+    trim: (s) => toText(s).trim(),
+    len: (s) => Array.isArray(s) ? s.length : toText(s).length,
+    substr: (s, start, length) => {
+        const text = toText(s);
+        return length === undefined ? text.substr(toNumber(start)) : text.substr(toNumber(start), toNumber(length));
+    },
+    replace: (s, find, repl) => toText(s).split(toText(find)).join(toText(repl)),
+    contains: (s, part) => toText(s).includes(toText(part)),
+    padStart: (s, width, fill) => toText(s).padStart(toNumber(width), fill === undefined ? ' ' : toText(fill)),
+    concat: (...args) => args.map(toText).join(''),
+    str: (v) => toText(v),
+    num: (v) => {
+        const n = toNumber(v);
+        return isNaN(n) ? null : n;
+    },
+    round: (n, digits) => {
+        const factor = Math.pow(10, digits === undefined ? 0 : toNumber(digits));
+        return Math.round(toNumber(n) * factor) / factor;
+    },
+    floor: (n) => Math.floor(toNumber(n)),
+    ceil: (n) => Math.ceil(toNumber(n)),
+    abs: (n) => Math.abs(toNumber(n)),
+    min: (...args) => Math.min(...args.map(toNumber)),
+    max: (...args) => Math.max(...args.map(toNumber)),
+    if: (cond, a, b) => (cond ? a : (b === undefined ? null : b)),
+    coalesce: (...args) => {
+        const found = args.find(v => v !== null && v !== undefined && v !== '');
+        return found === undefined ? null : found;
+    },
+    now: () => new Date(),
+    today: () => formatDate(new Date(), 'YYYY-MM-DD'),
+    date: (v) => toDate(v),
+    formatDate: (v, pattern) => {
+        const date = toDate(v);
+        return date ? formatDate(date, pattern === undefined ? 'YYYY-MM-DD' : toText(pattern)) : null;
+    },
+    year: (v) => (toDate(v) ? toDate(v).getFullYear() : null),
+    month: (v) => (toDate(v) ? toDate(v).getMonth() + 1 : null),
+    day: (v) => (toDate(v) ? toDate(v).getDate() : null),
+    daysBetween: (a, b) => {
+        const da = toDate(a);
+        const db = toDate(b);
+        return da && db ? Math.round((db - da) / 86400000) : null;
+    }
+};
+
+function evaluateNode(node, item, depth) {
+    switch (node.t) {
+        case 'lit': return node.v;
+        case 'field': {
+            const derived = getDerivedField(node.path);
+            if (derived) {
+                if (depth > 10) throw new Error('계산 필드 순환 참조');
+                return normalizeResult(evaluateExpression(parseExpression(derived.expr), item, depth + 1));
+            }
+            const val = getPath(item, node.path);
+            return val === undefined ? null : val;
+        }
+        case 'call': {
+            // "if" is lazy so only the chosen branch is evaluated
+            if (node.name === 'if') {
+                const cond = evaluateNode(node.args[0], item, depth);
+                const branch = cond ? node.args[1] : node.args[2];
+                return branch ? evaluateNode(branch, item, depth) : null;
+            }
+            const args = node.args.map(arg => evaluateNode(arg, item, depth));
+            return EXPRESSION_FUNCTIONS[node.name](...args);
+        }
+        case 'un': {
+            const a = evaluateNode(node.a, item, depth);
+            return node.op === '!' ? !a : -toNumber(a);
+        }
+        case 'cond':
+            return evaluateNode(node.c, item, depth) ? evaluateNode(node.a, item, depth) : evaluateNode(node.b, item, depth);
+        case 'bin': {
+            if (node.op === '&&') return evaluateNode(node.a, item, depth) && evaluateNode(node.b, item, depth);
+            if (node.op === '||') return evaluateNode(node.a, item, depth) || evaluateNode(node.b, item, depth);
+            const a = evaluateNode(node.a, item, depth);
+            if (node.op === '??') return a === null || a === undefined ? evaluateNode(node.b, item, depth) : a;
+            const b = evaluateNode(node.b, item, depth);
+            switch (node.op) {
+                case '+':
+                    if (typeof a === 'string' || typeof b === 'string' || a instanceof Date || b instanceof Date) {
+                        return toText(a) + toText(b);
+                    }
+                    return toNumber(a === null ? 0 : a) + toNumber(b === null ? 0 : b);
+                case '-': return toNumber(a) - toNumber(b);
+                case '*': return toNumber(a) * toNumber(b);
+                case '/': return toNumber(a) / toNumber(b);
+                case '%': return toNumber(a) % toNumber(b);
+                case '==': return looseEquals(a, b);
+                case '!=': return !looseEquals(a, b);
+                case '<': return compareValues(a, b) < 0;
+                case '<=': return compareValues(a, b) <= 0;
+                case '>': return compareValues(a, b) > 0;
+                case '>=': return compareValues(a, b) >= 0;
+            }
+        }
+    }
+    throw new Error('지원하지 않는 식');
+}
+
+function evaluateExpression(ast, item, depth = 0) {
+    return evaluateNode(ast, item, depth);
+}
+
+function getDerivedField(name) {
+    return activeConfig.derivedFields.find(d => d.name === name) || null;
+}
+
+function isDerivedField(name) {
+    return getDerivedField(name) !== null;
+}
+
+function getSourceFields() {
+    return activeConfig.fields.filter(field => !isDerivedField(field));
+}
+
+function normalizeResult(result) {
+    // Dates become text, NaN/Infinity (e.g. math on empty values) become null
+    if (result instanceof Date) return formatDate(result, 'YYYY-MM-DD HH:mm:ss');
+    if (typeof result === 'number' && !isFinite(result)) return null;
+    return result;
+}
+
+function evaluateDerivedField(derived, item) {
+    try {
+        return normalizeResult(evaluateExpression(parseExpression(derived.expr), item));
+    } catch (err) {
+        const errors = activeConfig.derivedErrors;
+        if (errors && !errors[derived.name]) errors[derived.name] = err.message;
+        return null;
+    }
+}
+
+// --- Template Logic ---
+// Line templates: literal text with {field} placeholders.
+//   {field:>5}   right-align to width 5 (< left, ^ center), {field:0>3} pads with "0"
+//   {field|N/A}  default when the value is empty or removed by a mapping
+//   {{ and }} (or \{ \}) are literal braces, \t and \n are tab/newline
+
+function parseTemplate(template) {
+    const tokens = [];
+    let text = '';
+    let i = 0;
+
+    const flushText = () => {
+        if (text) tokens.push({ type: 'text', value: text });
+        text = '';
+    };
+
+    while (i < template.length) {
+        const ch = template[i];
+        const next = template[i + 1];
+        if (ch === '\\' && next !== undefined) {
+            text += next === 't' ? '\t' : next === 'n' ? '\n' : next;
+            i += 2;
+        } else if ((ch === '{' && next === '{') || (ch === '}' && next === '}')) {
+            text += ch;
+            i += 2;
+        } else if (ch === '{') {
+            const end = template.indexOf('}', i + 1);
+            if (end === -1) {
+                text += template.slice(i); // Unclosed placeholder stays literal
+                break;
+            }
+            flushText();
+            tokens.push(parsePlaceholder(template.slice(i + 1, end)));
+            i = end + 1;
+        } else {
+            text += ch;
+            i++;
+        }
+    }
+    flushText();
+    return tokens;
+}
+
+function parsePlaceholder(body) {
+    const token = { type: 'field', field: '', defaultValue: '', fill: ' ', align: '<', width: 0 };
+
+    const pipe = body.indexOf('|');
+    if (pipe !== -1) {
+        token.defaultValue = body.slice(pipe + 1);
+        body = body.slice(0, pipe);
+    }
+
+    // Format spec after the last colon: [[fill]align][width]
+    const colon = body.lastIndexOf(':');
+    const spec = colon !== -1 ? body.slice(colon + 1).match(/^(?:(.)?([<>^]))?(\d*)$/) : null;
+    if (spec) {
+        if (spec[1] !== undefined) token.fill = spec[1];
+        if (spec[2]) token.align = spec[2];
+        token.width = spec[3] ? parseInt(spec[3], 10) : 0;
+        body = body.slice(0, colon);
+    }
+
+    token.field = body.trim();
+    return token;
+}
+
+function renameTemplateField(template, oldName, newName) {
+    // Rewrites {oldName} placeholders for a renamed field, keeping their format spec and default.
+    // Scans like parseTemplate, so escapes and {{ }} stay as typed.
+    let out = '';
+    let i = 0;
+    while (i < template.length) {
+        const ch = template[i];
+        const next = template[i + 1];
+        const end = ch === '{' ? template.indexOf('}', i + 1) : -1;
+        if ((ch === '\\' && next !== undefined) || (ch === '{' && next === '{') || (ch === '}' && next === '}')) {
+            out += ch + next;
+            i += 2;
+        } else if (end !== -1) {
+            let body = template.slice(i + 1, end);
+            if (parsePlaceholder(body).field === oldName) body = body.replace(oldName, () => newName);
+            out += `{${body}}`;
+            i = end + 1;
+        } else {
+            out += ch;
+            i++;
+        }
+    }
+    return out;
+}
+
+function getTemplateFields(tokens) {
+    return [...new Set(tokens.filter(t => t.type === 'field').map(t => t.field))];
+}
+
+function renderTemplate(tokens, item, arraySeparator) {
+    return tokens.map(token => {
+        if (token.type === 'text') return token.value;
+        const val = item[token.field];
+        let text = val === null || val === undefined ? '' : stringifyValue(val, arraySeparator);
+        if (text === '') text = token.defaultValue;
+        return padText(text, token.width, token.align, token.fill);
+    }).join('');
+}
+
+function padText(text, width, align, fill = ' ') {
+    const gap = width - displayWidth(text);
+    if (gap <= 0) return text;
+    if (align === '>') return fill.repeat(gap) + text;
+    if (align === '^') {
+        const left = Math.floor(gap / 2);
+        return fill.repeat(left) + text + fill.repeat(gap - left);
+    }
+    return text + fill.repeat(gap);
+}
+
+// --- Fixed Width Logic ---
+// Column widths count display cells: Hangul, CJK and full-width forms take 2, combining marks 0
+
+const WIDE_RANGES = [
+    [0x1100, 0x115F], [0x2E80, 0x303E], [0x3041, 0x33FF], [0x3400, 0x4DBF],
+    [0x4E00, 0x9FFF], [0xA000, 0xA4CF], [0xA960, 0xA97F], [0xAC00, 0xD7A3],
+    [0xF900, 0xFAFF], [0xFE30, 0xFE4F], [0xFF00, 0xFF60], [0xFFE0, 0xFFE6],
+    [0x1F300, 0x1F64F], [0x1F900, 0x1F9FF], [0x20000, 0x3FFFD]
+];
+
+function charWidth(codePoint) {
+    if ((codePoint >= 0x0300 && codePoint <= 0x036F) || codePoint === 0x200B) return 0;
+    for (const [start, end] of WIDE_RANGES) {
+        if (codePoint < start) break;
+        if (codePoint <= end) return 2;
+    }
+    return 1;
+}
+
+function displayWidth(text) {
+    let width = 0;
+    for (const ch of text) width += charWidth(ch.codePointAt(0));
+    return width;
+}
+
+function truncateText(text, maxWidth, ellipsis = '…') {
+    if (!maxWidth || displayWidth(text) <= maxWidth) return text;
+    let result = '';
+    let width = 0;
+    for (const ch of text) {
+        const w = charWidth(ch.codePointAt(0));
+        if (width + w > maxWidth - 1) break;
+        result += ch;
+        width += w;
+    }
+    return result + ellipsis;
+}
+
+function renderFixedWidth(rows, keys, options) {
+    const cells = rows.map(item => getFixedWidthCells(item, keys, options));
+    const layout = createFixedWidthLayout(keys);
+    cells.forEach(row => measureFixedWidthRow(layout, row));
+    return cells.map(row => renderFixedWidthRow(layout, row, options));
+}
+
+function getFixedWidthCells(item, keys, options) {
+    // Removed/null values stay as blank cells so later columns keep their position
+    return keys.map(key => {
+        const val = item[key];
+        const text = val === null || val === undefined ? '' : stringifyValue(val, options.arraySeparator);
+        return truncateText(text.replace(/[\r\n\t]+/g, ' '), options.maxWidth);
+    });
+}
+
+function createFixedWidthLayout(keys) {
+    // Built up row by row: widest cell and whether every non-blank cell is numeric, per column
+    return {
+        keys,
+        widths: keys.map(() => 0),
+        filled: keys.map(() => false),
+        numeric: keys.map(() => true)
+    };
+}
+
+function measureFixedWidthRow(layout, cells) {
+    cells.forEach((text, c) => {
+        layout.widths[c] = Math.max(layout.widths[c], displayWidth(text));
+        if (text !== '') {
+            layout.filled[c] = true;
+            if (isNaN(text)) layout.numeric[c] = false;
+        }
+    });
+}
+
+function renderFixedWidthRow(layout, cells, options) {
+    const symbols = { left: '<', right: '>', center: '^' };
+    return cells.map((text, c) => {
+        // Auto: numeric columns (plain or with a number format) align right
+        const key = layout.keys[c];
+        const format = activeConfig.fieldFormats[key];
+        const numeric = layout.numeric[c] || Boolean(format && format.kind === 'number');
+        const align = options.align[key] || (layout.filled[c] && numeric ? 'right' : 'left');
+        // No trailing padding on a left-aligned last column
+        if (c === cells.length - 1 && align === 'left') return text;
+        return padText(text, layout.widths[c], symbols[align]);
+    }).join(options.gap);
+}
+
+// --- Path Logic ---
+// Nested values are addressed with dot/bracket paths: address.city, tags[0], ["key.with.dots"]
+
+const pathCache = new Map();
+
+function parsePath(path) {
+    if (pathCache.has(path)) return pathCache.get(path);
+
+    const segments = [];
+    let i = 0;
+    while (i < path.length) {
+        const ch = path[i];
+        if (ch === '.') {
+            i++;
+        } else if (ch === '[') {
+            const end = findBracketEnd(path, i);
+            const inner = path.slice(i + 1, end);
+            if (inner.startsWith('"')) {
+                segments.push(JSON.parse(inner));
+            } else if (/^\d+$/.test(inner)) {
+                segments.push(parseInt(inner, 10));
+            } else {
+                segments.push(inner);
+            }
+            i = end + 1;
+        } else {
+            let j = i;
+            while (j < path.length && path[j] !== '.' && path[j] !== '[') j++;
+            segments.push(path.slice(i, j));
+            i = j;
+        }
+    }
+
+    pathCache.set(path, segments);
+    return segments;
+}
+
+function findBracketEnd(path, start) {
+    // Skip over quoted keys so a "]" inside the key does not end the segment
+    if (path[start + 1] === '"') {
+        let i = start + 2;
+        while (i < path.length && path[i] !== '"') {
+            if (path[i] === '\\') i++;
+            i++;
+        }
+        const end = path.indexOf(']', i);
+        return end === -1 ? path.length : end;
+    }
+    const end = path.indexOf(']', start);
+    return end === -1 ? path.length : end;
+}
+
+function formatPath(segments) {
+    return segments.map((seg, index) => {
+        if (typeof seg === 'number') return `[${seg}]`;
+        if (seg === '' || /[.\[\]]/.test(seg)) return `[${JSON.stringify(seg)}]`;
+        return index === 0 ? seg : '.' + seg;
+    }).join('');
+}
+
+function isNestedPath(path) {
+    return parsePath(path).length > 1;
+}
+
+function getPath(obj, path) {
+    let current = obj;
+    for (const seg of parsePath(path)) {
+        // Own properties only, so paths like "constructor" never reach prototypes
+        if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, seg)) {
+            return undefined;
+        }
+        current = current[seg];
+    }
+    return current;
+}
+
+function getFieldValue(item, field) {
+    const derived = getDerivedField(field);
+    return derived ? evaluateDerivedField(derived, item) : getPath(item, field);
+}
+
+function hasPath(obj, path) {
+    const segments = parsePath(path);
+    let current = obj;
+    for (let i = 0; i < segments.length; i++) {
+        // Own properties only, like getPath: "toString" isn't a field of every record
+        if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segments[i])) {
+            return false;
+        }
+        current = current[segments[i]];
+    }
+    return true;
+}
+
+const UNSAFE_PATH_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+function isSafePath(path) {
+    // Writing through these segments would reach Object.prototype instead of the record
+    return !parsePath(path).some(seg => UNSAFE_PATH_SEGMENTS.has(seg));
+}
+
+function setOwnValue(obj, key, value) {
+    // Plain own property, even for keys like "__proto__" that assignment would treat specially
+    Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+function setPath(obj, path, value) {
+    if (!isSafePath(path)) throw new Error(`Unsafe field path "${path}"`);
+    const segments = parsePath(path);
+    let current = obj;
+    segments.forEach((seg, i) => {
+        if (i === segments.length - 1) {
+            current[seg] = value;
+            return;
+        }
+        if (current[seg] === null || typeof current[seg] !== 'object') {
+            // Create missing containers: numeric next segment means array
+            current[seg] = typeof segments[i + 1] === 'number' ? [] : {};
+        }
+        current = current[seg];
+    });
+}
+
+function deletePath(obj, path) {
+    const segments = parsePath(path);
+    const parent = segments.length > 1 ? getPath(obj, formatPath(segments.slice(0, -1))) : obj;
+    if (parent !== null && typeof parent === 'object') {
+        delete parent[segments[segments.length - 1]];
+    }
+}
+
+function collectFieldPaths(value, segments, out, arrayMode) {
+    if (Array.isArray(value)) {
+        if (arrayMode === 'index' && value.length > 0) {
+            value.forEach((el, i) => collectFieldPaths(el, [...segments, i], out, arrayMode));
+        } else if (segments.length > 0) {
+            out.add(formatPath(segments)); // Joined into one value at output time
+        }
+        return;
+    }
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 0 && segments.length > 0) {
+            out.add(formatPath(segments));
+            return;
+        }
+        keys.forEach(key => collectFieldPaths(value[key], [...segments, key], out, arrayMode));
+        return;
+    }
+    if (segments.length > 0) out.add(formatPath(segments));
+}
+
+function stringifyValue(val, arraySeparator) {
+    // Render a resolved value as text: arrays joined, objects as compact JSON
+    if (Array.isArray(val)) {
+        return val.map(el => {
+            if (el === null || el === undefined) return '';
+            return typeof el === 'object' ? JSON.stringify(el) : String(el);
+        }).join(arraySeparator);
+    }
+    if (val !== null && typeof val === 'object') return JSON.stringify(val);
+    return String(val);
+}
+
+// --- JSON Sequence Logic ---
+// NDJSON / JSON Lines (one value per line) and concatenated values ({...}{...} or pretty-printed)
+
+function parseJsonSequence(text) {
+    const lines = text.split(/\r?\n/);
+    const nonEmpty = lines.filter(line => line.trim() !== '');
+    const isLineDelimited = nonEmpty.length > 1 && nonEmpty.every(line => /^\s*[{[]/.test(line));
+
+    const segments = isLineDelimited
+        ? lines.map((line, i) => ({ text: line.trim(), line: i + 1 })).filter(seg => seg.text !== '')
+        : splitConcatenatedJson(text);
+
+    const records = [];
+    const errors = [];
+    segments.forEach(seg => {
+        if (seg.error) {
+            errors.push({ line: seg.line, message: seg.error });
+            return;
+        }
+        let value;
+        try {
+            value = JSON.parse(seg.text);
+        } catch (err) {
+            errors.push({ line: seg.line, message: err.message });
+            return;
+        }
+        // Arrays of records are flattened so "[...][...]" chunks concatenate
+        const items = Array.isArray(value) ? value : [value];
+        items.forEach(item => {
+            if (item !== null && typeof item === 'object' && !Array.isArray(item)) {
+                records.push(item);
+            } else {
+                errors.push({ line: seg.line, message: 'Object expected' });
+            }
+        });
+    });
+
+    return {
+        format: isLineDelimited ? 'ndjson' : 'concat',
+        valueCount: segments.length,
+        records,
+        errors
+    };
+}
+
+function splitConcatenatedJson(text) {
+    // Split back-to-back JSON values by tracking bracket depth outside of strings
+    const segments = [];
+    let line = 1;
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '\n') line++;
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        const startLine = line;
+        if (ch !== '{' && ch !== '[' && ch !== '"') {
+            // Bare primitive: runs until whitespace or the next value
+            while (i < text.length && !/[\s{["]/.test(text[i])) i++;
+            segments.push({ text: text.slice(start, i), line: startLine });
+            continue;
+        }
+
+        let depth = 0;
+        let inString = false;
+        do {
+            const c = text[i];
+            if (c === '\n') line++;
+            if (inString) {
+                if (c === '\\') i++;
+                else if (c === '"') inString = false;
+            } else if (c === '"') {
+                inString = true;
+            } else if (c === '{' || c === '[') {
+                depth++;
+            } else if (c === '}' || c === ']') {
+                depth--;
+            }
+            i++;
+        } while (i < text.length && (depth > 0 || inString));
+
+        if (depth > 0 || inString) {
+            segments.push({ line: startLine, error: 'Unterminated value' });
+            break;
+        }
+        segments.push({ text: text.slice(start, i), line: startLine });
+    }
+    return segments;
+}
+
+// --- Delimited (CSV/TSV) Logic ---
+// RFC 4180: quoted fields may contain delimiters, newlines and doubled quotes ("")
+
+const DELIMITER_CANDIDATES = [',', '\t', ';', '|'];
+
+function parseDelimitedRows(text, delimiter, maxRows = Infinity) {
+    const rows = [];
+    const errors = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    let i = 0;
+
+    if (text.charCodeAt(0) === 0xFEFF) i = 1; // Skip UTF-8 BOM
+
+    const endRow = () => {
+        row.push(field);
+        field = '';
+        // Skip blank lines entirely
+        if (!(row.length === 1 && row[0] === '')) rows.push({ cells: row, line: rowLine });
+        row = [];
+    };
+
+    while (i < text.length && rows.length < maxRows) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                inQuotes = false;
+            } else {
+                if (ch === '\n') line++;
+                field += ch;
+            }
+            i++;
+            continue;
+        }
+
+        if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\r' || ch === '\n') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += ch;
+        }
+        i++;
+    }
+
+    if (inQuotes) {
+        errors.push({ line: rowLine, message: 'Unterminated quoted field' });
+    }
+    if (rows.length < maxRows && (field !== '' || row.length > 0)) endRow();
+    return { rows, errors };
+}
+
+function detectDelimiter(text) {
+    // Pick the candidate that splits the first lines into the most consistent column count
+    const sample = text.slice(0, 64 * 1024);
+    let best = null;
+    DELIMITER_CANDIDATES.forEach(delimiter => {
+        const { rows } = parseDelimitedRows(sample, delimiter, 20);
+        const counts = rows.map(r => r.cells.length);
+        if (counts.length === 0 || counts[0] < 2) return;
+        const consistent = counts.filter(c => c === counts[0]).length;
+        const score = consistent * 100 + counts[0];
+        if (!best || score > best.score) best = { delimiter, score };
+    });
+    return best ? best.delimiter : null;
+}
+
+function isHeaderRow(cells) {
+    // Header cells are non-empty, unique and not numbers/literals
+    const seen = new Set();
+    return cells.every(cell => {
+        const name = cell.trim();
+        if (!name || seen.has(name) || inferCellType(name) !== name) return false;
+        seen.add(name);
+        return true;
+    });
+}
+
+function inferCellType(text) {
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null') return null;
+    // No leading zeros, so codes like "007" stay strings
+    if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) return Number(text);
+    return text;
+}
+
+function parseDelimited(text, options) {
+    const { delimiter, header, inferTypes } = options;
+    const { rows, errors } = parseDelimitedRows(text, delimiter);
+    if (rows.length === 0) return { records: [], delimiter, hasHeader: false, errors };
+
+    const hasHeader = header === 'yes' || (header === 'auto' && isHeaderRow(rows[0].cells));
+    // A loop, not Math.max(...): spreading 100k+ rows overflows the call stack
+    const width = rows.reduce((max, r) => Math.max(max, r.cells.length), 0);
+    const names = [];
+    for (let c = 0; c < width; c++) {
+        const name = hasHeader && rows[0].cells[c] ? rows[0].cells[c].trim() : '';
+        names.push(name || `col${c + 1}`);
+    }
+
+    const records = [];
+    rows.slice(hasHeader ? 1 : 0).forEach(({ cells, line }) => {
+        if (cells.length !== names.length) {
+            errors.push({ line, message: `Expected ${names.length} columns, got ${cells.length}` });
+        }
+        const record = {};
+        names.forEach((name, c) => {
+            const cell = cells[c] !== undefined ? cells[c] : '';
+            // Dotted headers (address.city) written by our CSV export rebuild nested objects;
+            // headers such as "__proto__.x" stay flat keys
+            const value = inferTypes ? inferCellType(cell) : cell;
+            if (isSafePath(name)) setPath(record, name, value);
+            else setOwnValue(record, name, value);
+        });
+        records.push(record);
+    });
+
+    return { records, delimiter, hasHeader, errors };
+}
+
+function serializeDelimited(records, fields, delimiter, includeHeader) {
+    const quote = (text) => {
+        if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    };
+    const lines = records.map(item => fields.map(field => {
+        const val = getPath(item, field);
+        return quote(val === undefined ? '' : stringifyValue(val, activeConfig.options.arraySeparator));
+    }).join(delimiter));
+    if (includeHeader) lines.unshift(fields.map(quote).join(delimiter));
+    return lines.join('\n');
+}
+
+// --- Record Root Logic ---
+// JSONPath-like subset: $, .key, ['key'], [0], * / [*] (wildcards flatten matches)
+
+const WILDCARD = Symbol('wildcard');
+
+function parseJsonPath(expr) {
+    let rest = expr.trim();
+    if (rest.startsWith('$')) rest = rest.slice(1);
+
+    const segments = [];
+    const tokenRe = /^(?:\.\*|\[\*\]|\.([^.[\]]+)|\[(\d+)\]|\['((?:[^'\\]|\\.)*)'\]|\["((?:[^"\\]|\\.)*)"\])/;
+    if (rest && !rest.startsWith('.') && !rest.startsWith('[')) rest = '.' + rest; // Allow "data.items"
+
+    while (rest.length > 0) {
+        const m = rest.match(tokenRe);
+        if (!m) throw new Error(`unexpected "${rest}"`);
+        if (m[1] !== undefined) segments.push(m[1]);
+        else if (m[2] !== undefined) segments.push(parseInt(m[2], 10));
+        else if (m[3] !== undefined) segments.push(m[3].replace(/\\(.)/g, '$1'));
+        else if (m[4] !== undefined) segments.push(m[4].replace(/\\(.)/g, '$1'));
+        else segments.push(WILDCARD);
+        rest = rest.slice(m[0].length);
+    }
+    return segments;
+}
+
+function selectJsonPath(root, expr) {
+    const segments = parseJsonPath(expr);
+    let nodes = [root];
+    segments.forEach(seg => {
+        const next = [];
+        nodes.forEach(node => {
+            if (node === null || typeof node !== 'object') return;
+            if (seg === WILDCARD) {
+                // Appended one by one: push(...node) overflows the call stack on large arrays
+                (Array.isArray(node) ? node : Object.values(node)).forEach(child => next.push(child));
+            } else if (Object.prototype.hasOwnProperty.call(node, seg) && node[seg] !== undefined) {
+                // Own properties only: "$.__proto__" must not select Object.prototype
+                next.push(node[seg]);
+            }
+        });
+        nodes = next;
+    });
+
+    const records = [];
+    if (!segments.includes(WILDCARD)) {
+        // A single match: return the array itself so edits write through to sourceRoot
+        const match = nodes[0];
+        if (Array.isArray(match)) return match;
+        if (match !== null && typeof match === 'object') records.push(match);
+        return records;
+    }
+    nodes.forEach(node => {
+        if (Array.isArray(node)) node.forEach(record => records.push(record));
+        else if (node !== null && typeof node === 'object') records.push(node);
+    });
+    return records;
+}
+
+function findRecordArrays(root, maxDepth = 6) {
+    // Candidate record arrays: arrays holding at least one plain object
+    const found = [];
+    const visit = (node, path, depth) => {
+        if (Array.isArray(node)) {
+            if (node.some(el => el !== null && typeof el === 'object' && !Array.isArray(el))) {
+                found.push({ path, count: node.length });
+            }
+            return; // Array elements are records, not containers to search
+        }
+        if (node === null || typeof node !== 'object' || depth >= maxDepth) return;
+        Object.keys(node).forEach(key => {
+            const part = /^[A-Za-z_$][\w$]*$/.test(key) ? '.' + key : `['${key.replace(/['\\]/g, '\\$&')}']`;
+            visit(node[key], path + part, depth + 1);
+        });
+    };
+    visit(root, '$', 0);
+    return found;
+}
+
+// --- Schema Logic ---
+// Per-field type inference (schema panel) and coercion of values to a target type before output
+
+const SCHEMA_TYPES = {
+    string: '문자열',
+    integer: '정수',
+    float: '실수',
+    boolean: '참/거짓',
+    date: '날짜',
+    array: '배열',
+    object: '객체',
+    mixed: '혼합',
+    null: '빈 값'
+};
+
+// Types a field can be coerced to (fieldTypes)
+const COERCE_TYPES = ['string', 'integer', 'float', 'boolean', 'date'];
+
+const SCHEMA_VALUE_TYPES = ['empty', 'string', 'integer', 'float', 'boolean', 'date', 'array', 'object'];
+const SCHEMA_EXAMPLE_COUNT = 3;
+const SCHEMA_NULL_HEAVY_RATIO = 0.5; // Fields filled in fewer rows than this are flagged
+const DATE_TEXT_PATTERN = /^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}([T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const BOOLEAN_WORDS = {
+    true: true, false: false, yes: true, no: false, y: true, n: false,
+    on: true, off: false, '1': true, '0': false, '예': true, '아니오': false
+};
+
+function parseDateValue(val) {
+    // Like toDate, but plain dates ("2024-01-31", "2024/1/31") are local calendar days and
+    // impossible days ("2024-02-31") are rejected instead of rolling over
+    const text = typeof val === 'string' ? val.trim() : val;
+    const dateOnly = typeof text === 'string' && text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    if (!dateOnly) return toDate(text);
+    const [year, month, day] = [+dateOnly[1], +dateOnly[2], +dateOnly[3]];
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+function detectValueType(val) {
+    // JSON types as parsed; strings only count as dates when they look like one
+    if (val === null || val === undefined || val === '') return 'empty';
+    if (typeof val === 'boolean') return 'boolean';
+    if (typeof val === 'number') return Number.isInteger(val) ? 'integer' : 'float';
+    if (val instanceof Date) return 'date';
+    if (Array.isArray(val)) return 'array';
+    if (typeof val === 'object') return 'object';
+    const text = String(val).trim();
+    return DATE_TEXT_PATTERN.test(text) && parseDateValue(text) ? 'date' : 'string';
+}
+
+function isCompatibleType(type, mainType) {
+    // Integers sit fine in a float column
+    return type === mainType || (type === 'integer' && mainType === 'float');
+}
+
+function inferSchema(records, fields) {
+    // Per field: type counts, fill rate, a few distinct examples, the rows whose type differs from
+    // the field's main type, and (when a target type is set) how many values fail to convert
+    return fields.map(field => {
+        const rowTypes = new Uint8Array(records.length);
+        const counts = {};
+        const examples = [];
+        let failures = 0;
+        const failureExamples = [];
+        const targetType = activeConfig.fieldTypes[field];
+
+        records.forEach((item, row) => {
+            const val = getFieldValue(item, field);
+            const type = detectValueType(val);
+            rowTypes[row] = SCHEMA_VALUE_TYPES.indexOf(type);
+            counts[type] = (counts[type] || 0) + 1;
+            if (type === 'empty') return;
+
+            const text = stringifyValue(val, activeConfig.options.arraySeparator);
+            if (examples.length < SCHEMA_EXAMPLE_COUNT && !examples.includes(text)) examples.push(text);
+            if (targetType && !coerceValue(val, targetType).ok) {
+                failures++;
+                if (failureExamples.length < SCHEMA_EXAMPLE_COUNT && !failureExamples.includes(text)) {
+                    failureExamples.push(text);
+                }
+            }
+        });
+
+        const total = records.length;
+        const filled = total - (counts.empty || 0);
+        const present = Object.keys(counts).filter(t => t !== 'empty');
+        const isNumeric = present.length > 0 && present.every(t => t === 'integer' || t === 'float');
+        const mainType = present.length === 0 ? 'null'
+            : isNumeric && present.length > 1 ? 'float'
+            : present.reduce((best, t) => counts[t] > counts[best] ? t : best);
+
+        const inconsistentRows = [];
+        if (mainType !== 'null') {
+            rowTypes.forEach((code, row) => {
+                const type = SCHEMA_VALUE_TYPES[code];
+                if (type !== 'empty' && !isCompatibleType(type, mainType)) inconsistentRows.push(row);
+            });
+        }
+
+        return {
+            field,
+            type: inconsistentRows.length > 0 ? 'mixed' : mainType,
+            mainType,
+            counts,
+            total,
+            filled,
+            fillRate: total > 0 ? filled / total : 0,
+            nullHeavy: total > 0 && filled / total < SCHEMA_NULL_HEAVY_RATIO,
+            examples,
+            inconsistentRows,
+            targetType: targetType || null,
+            failures,
+            failureExamples
+        };
+    });
+}
+
+function coerceValue(val, type) {
+    // { value, ok }: empty values pass through, values that don't convert keep their original form
+    if (val === null || val === undefined || val === '') return { value: val, ok: true };
+    const fail = { value: val, ok: false };
+
+    switch (type) {
+        case 'string':
+            return {
+                value: val instanceof Date ? formatDate(val, 'YYYY-MM-DD HH:mm:ss') : stringifyValue(val, activeConfig.options.arraySeparator),
+                ok: true
+            };
+        case 'integer': {
+            const n = typeof val === 'object' ? NaN : toNumber(val);
+            return Number.isInteger(n) ? { value: n, ok: true } : fail;
+        }
+        case 'float': {
+            const n = typeof val === 'object' ? NaN : toNumber(val);
+            return Number.isFinite(n) ? { value: n, ok: true } : fail;
+        }
+        case 'boolean': {
+            if (typeof val === 'boolean') return { value: val, ok: true };
+            const word = String(val).trim().toLowerCase();
+            return typeof val !== 'object' && Object.prototype.hasOwnProperty.call(BOOLEAN_WORDS, word)
+                ? { value: BOOLEAN_WORDS[word], ok: true }
+                : fail;
+        }
+        case 'date': {
+            if (typeof val === 'boolean' || (typeof val === 'object' && !(val instanceof Date))) return fail;
+            const date = parseDateValue(val);
+            if (!date) return fail;
+            const hasTime = date.getHours() || date.getMinutes() || date.getSeconds();
+            return { value: formatDate(date, hasTime ? 'YYYY-MM-DD HH:mm:ss' : 'YYYY-MM-DD'), ok: true };
+        }
+        default:
+            return { value: val, ok: true };
+    }
+}
+
+function coerceFieldValue(val, field, type) {
+    // Counts failures per field for the status (like derivedErrors)
+    const result = coerceValue(val, type);
+    if (!result.ok) {
+        const errors = activeConfig.coercionErrors;
+        errors[field] = (errors[field] || 0) + 1;
+    }
+    return result.value;
+}
+
+// --- Validation Logic ---
+// JSON Schema (draft 2020-12 subset) checks of input records. Supported keywords: type, enum, const,
+// required, properties, additionalProperties, items, pattern, minLength/maxLength, minimum/maximum,
+// exclusiveMinimum/exclusiveMaximum, minItems/maxItems and format. Other keywords are ignored.
+
+const SCHEMA_FORMATS = {
+    date: text => /^\d{4}-\d{2}-\d{2}$/.test(text) && parseDateValue(text) !== null,
+    'date-time': text => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(text) && !isNaN(Date.parse(text)),
+    time: text => /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(text),
+    email: text => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text),
+    uri: text => /^[a-zA-Z][a-zA-Z\d+.-]*:\S+$/.test(text),
+    uuid: text => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(text),
+    ipv4: text => /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/.test(text)
+};
+
+const JSON_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+const schemaPatternCache = new Map();
+
+function compileSchemaPattern(pattern) {
+    // JSON Schema patterns are plain ECMA-262 sources (no /…/flags form), unanchored
+    if (!schemaPatternCache.has(pattern)) schemaPatternCache.set(pattern, new RegExp(pattern, 'u'));
+    return schemaPatternCache.get(pattern);
+}
+
+function getJsonType(val) {
+    if (val === null) return 'null';
+    if (Array.isArray(val)) return 'array';
+    return typeof val; // 'object' | 'string' | 'number' | 'boolean'
+}
+
+function matchesJsonType(val, type) {
+    if (type === 'integer') return Number.isInteger(val);
+    if (type === 'number') return typeof val === 'number' && Number.isFinite(val);
+    return getJsonType(val) === type;
+}
+
+function checkJsonSchema(schema) {
+    // Throws on schemas that can't be used, so the panel can reject them up front
+    if (schema === true || schema === false) return;
+    if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error('스키마는 JSON 객체여야 합니다');
+    }
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const unknown = types.find(type => !JSON_TYPES.includes(type));
+        if (unknown !== undefined) throw new Error(`알 수 없는 type: ${JSON.stringify(unknown)}`);
+    }
+    if (schema.enum !== undefined && !Array.isArray(schema.enum)) throw new Error('enum은 배열이어야 합니다');
+    if (schema.required !== undefined && !Array.isArray(schema.required)) throw new Error('required는 배열이어야 합니다');
+    if (schema.pattern !== undefined) compileSchemaPattern(String(schema.pattern));
+    if (schema.properties) Object.values(schema.properties).forEach(checkJsonSchema);
+    if (schema.items !== undefined) checkJsonSchema(schema.items);
+    if (typeof schema.additionalProperties === 'object') checkJsonSchema(schema.additionalProperties);
+}
+
+function validateRecord(record, schema) {
+    // [{ path, keyword, message }], path in field notation ("address.city", "tags[0]", "" for the record)
+    const errors = [];
+    validateValue(record, schema, [], errors);
+    return errors;
+}
+
+function validateValue(val, schema, segments, errors) {
+    if (schema === true || schema === undefined) return;
+    const path = formatPath(segments);
+    const fail = (keyword, message) => errors.push({ path, keyword, message });
+    if (schema === false) {
+        fail('false', '허용되지 않는 값');
+        return;
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesJsonType(val, type))) {
+            fail('type', `타입이 ${types.join(' | ')}이(가) 아님 (${getJsonType(val)})`);
+            return; // The remaining keywords would only repeat the mismatch
+        }
+    }
+    if (schema.enum !== undefined && !schema.enum.some(option => deepEquals(option, val))) {
+        fail('enum', `허용 값이 아님: ${JSON.stringify(val)}`);
+    }
+    if (schema.const !== undefined && !deepEquals(schema.const, val)) {
+        fail('const', `${JSON.stringify(schema.const)}이(가) 아님`);
+    }
+
+    if (typeof val === 'string') {
+        const length = Array.from(val).length;
+        if (schema.minLength !== undefined && length < schema.minLength) fail('minLength', `${schema.minLength}자 미만`);
+        if (schema.maxLength !== undefined && length > schema.maxLength) fail('maxLength', `${schema.maxLength}자 초과`);
+        if (schema.pattern !== undefined) {
+            if (!compileSchemaPattern(String(schema.pattern)).test(val)) fail('pattern', `패턴 ${schema.pattern} 불일치`);
+        }
+        const format = SCHEMA_FORMATS[schema.format];
+        if (format && !format(val)) fail('format', `${schema.format} 형식이 아님`);
+    }
+
+    if (typeof val === 'number') {
+        if (schema.minimum !== undefined && val < schema.minimum) fail('minimum', `${schema.minimum} 미만`);
+        if (schema.maximum !== undefined && val > schema.maximum) fail('maximum', `${schema.maximum} 초과`);
+        if (schema.exclusiveMinimum !== undefined && val <= schema.exclusiveMinimum) fail('exclusiveMinimum', `${schema.exclusiveMinimum} 이하`);
+        if (schema.exclusiveMaximum !== undefined && val >= schema.exclusiveMaximum) fail('exclusiveMaximum', `${schema.exclusiveMaximum} 이상`);
+    }
+
+    if (Array.isArray(val)) {
+        if (schema.minItems !== undefined && val.length < schema.minItems) fail('minItems', `항목 ${schema.minItems}개 미만`);
+        if (schema.maxItems !== undefined && val.length > schema.maxItems) fail('maxItems', `항목 ${schema.maxItems}개 초과`);
+        if (schema.items !== undefined) {
+            val.forEach((el, i) => validateValue(el, schema.items, [...segments, i], errors));
+        }
+    }
+
+    if (getJsonType(val) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(val, key)) {
+                errors.push({ path: formatPath([...segments, key]), keyword: 'required', message: '필수 필드 없음' });
+            }
+        });
+        const properties = schema.properties || {};
+        Object.keys(val).forEach(key => {
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                validateValue(val[key], properties[key], [...segments, key], errors);
+            } else if (schema.additionalProperties !== undefined) {
+                validateValue(val[key], schema.additionalProperties, [...segments, key], errors);
+            }
+        });
+    }
+}
+
+function deepEquals(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => deepEquals(a[key], b[key]));
+}
+
+function validateRecords(records, schema) {
+    // Rows with at least one error: [{ row, errors }]
+    const invalid = [];
+    records.forEach((item, row) => {
+        const errors = validateRecord(item, schema);
+        if (errors.length > 0) invalid.push({ row, errors });
+    });
+    return invalid;
+}
+
+// --- Analysis Logic ---
+// Figures about the whole dataset that the page shows next to the output. One function, so the
+// page's worker computes them for large data exactly as the page does for small data.
+
+function analyzeRecords(records, config, { previewRows = 0 } = {}) {
+    // { shown, outputRows, schema, invalid, preview, derivedErrors, coercionErrors }: output rows
+    // before and after grouping, inferSchema over config.fields, validateRecords failures (null
+    // without a schema) and, when previewRows > 0, the TXT preview of that many output rows
+    const previous = activeConfig;
+    activeConfig = config;
+    try {
+        const selected = selectOutputRecords(records);
+        const result = {
+            shown: selected.length,
+            outputRows: isGroupingActive() ? groupRecords(selected, config.groupBy).length : selected.length,
+            schema: inferSchema(records, config.fields),
+            invalid: config.validation.schema ? validateRecords(records, config.validation.schema) : null,
+            preview: null
+        };
+        if (previewRows > 0) {
+            result.preview = '';
+            for (const chunk of iterateOutput(selected, config, 'txt', { limit: previewRows, selected: true })) {
+                result.preview += chunk;
+            }
+        }
+        result.derivedErrors = config.derivedErrors;
+        result.coercionErrors = config.coercionErrors;
+        return result;
+    } finally {
+        activeConfig = previous;
+    }
+}
+
+// --- Value Format Logic ---
+// Per-field display formats (fieldFormats), applied to output values after mappings:
+// { kind: 'text'|'number'|'date',
+//   decimals, thousands, locale, numberStyle: 'decimal'|'currency'|'percent', currency,
+//   dateInput, dateOutput, timeZone,
+//   textCase: 'upper'|'lower'|'title', trim, padChar: '0'|' ', padLength, padSide: 'start'|'end',
+//   prefix, suffix, maxLength }
+
+const FORMAT_DEFAULT_LOCALE = 'ko-KR'; // Fixed, so the page and the CLI print numbers the same way
+const FORMAT_DATE_TOKENS = {
+    YYYY: '(\\d{4})', MM: '(\\d{2})', M: '(\\d{1,2})', DD: '(\\d{2})', D: '(\\d{1,2})',
+    HH: '(\\d{2})', H: '(\\d{1,2})', mm: '(\\d{2})', ss: '(\\d{2})'
+};
+const numberFormatCache = new Map();
+const zoneFormatCache = new Map();
+const datePatternCache = new Map();
+
+function formatFieldValue(val, field) {
+    const format = activeConfig.fieldFormats[field];
+    if (!format || val === null || val === undefined || val === '') return val;
+
+    let text;
+    if (format.kind === 'number') text = formatNumberValue(val, format);
+    else if (format.kind === 'date') text = formatDateValue(val, format);
+    // Values the number/date step can't read still get the text steps
+    if (text === undefined) text = stringifyValue(val, activeConfig.options.arraySeparator);
+    return applyTextFormat(text, format);
+}
+
+function formatNumberValue(val, format) {
+    if (typeof val === 'boolean' || typeof val === 'object') return undefined;
+    const n = toNumber(val);
+    if (!Number.isFinite(n)) return undefined;
+
+    const locale = format.locale || FORMAT_DEFAULT_LOCALE;
+    const options = { style: format.numberStyle || 'decimal', useGrouping: format.thousands !== false };
+    if (options.style === 'currency') options.currency = format.currency || 'KRW';
+    if (Number.isInteger(format.decimals) && format.decimals >= 0) {
+        options.minimumFractionDigits = format.decimals;
+        options.maximumFractionDigits = format.decimals;
+    }
+    const key = JSON.stringify([locale, options]);
+    if (!numberFormatCache.has(key)) {
+        let formatter = null;
+        try {
+            formatter = new Intl.NumberFormat(locale, options);
+        } catch (err) {
+            formatter = null; // Unknown locale or currency code: leave the number as it is
+        }
+        numberFormatCache.set(key, formatter);
+    }
+    const formatter = numberFormatCache.get(key);
+    return formatter ? formatter.format(n) : undefined;
+}
+
+function formatDateValue(val, format) {
+    if (typeof val === 'boolean' || (typeof val === 'object' && !(val instanceof Date))) return undefined;
+    const date = format.dateInput ? parseDateWithPattern(String(val), format.dateInput) : parseDateValue(val);
+    if (!date) return undefined;
+    return formatDateInZone(date, format.dateOutput || 'YYYY-MM-DD', format.timeZone);
+}
+
+function parseDateWithPattern(text, pattern) {
+    // "DD/MM/YYYY HH:mm" style patterns, same tokens as formatDate; read as local time
+    if (!datePatternCache.has(pattern)) {
+        const order = [];
+        const source = pattern.replace(/YYYY|MM|M|DD|D|HH|H|mm|ss|[.*+?^${}()|[\]\\]/g, token => {
+            if (!FORMAT_DATE_TOKENS[token]) return '\\' + token;
+            order.push(token[0]);
+            return FORMAT_DATE_TOKENS[token];
+        });
+        datePatternCache.set(pattern, { regex: new RegExp('^' + source + '$'), order });
+    }
+
+    const { regex, order } = datePatternCache.get(pattern);
+    const match = text.trim().match(regex);
+    if (!match) return null;
+    const parts = { Y: 1970, M: 1, D: 1, H: 0, m: 0, s: 0 };
+    order.forEach((key, i) => { parts[key] = +match[i + 1]; });
+    const date = new Date(parts.Y, parts.M - 1, parts.D, parts.H, parts.m, parts.s);
+    return date.getMonth() === parts.M - 1 && date.getDate() === parts.D ? date : null;
+}
+
+function formatDateInZone(date, pattern, timeZone) {
+    // formatDate with the clock of another time zone (IANA name such as "Asia/Seoul" or "UTC")
+    if (!timeZone) return formatDate(date, pattern);
+    if (!zoneFormatCache.has(timeZone)) {
+        let formatter = null;
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric',
+                hour: 'numeric', minute: 'numeric', second: 'numeric'
+            });
+        } catch (err) {
+            formatter = null; // Unknown zone: local time
+        }
+        zoneFormatCache.set(timeZone, formatter);
+    }
+
+    const formatter = zoneFormatCache.get(timeZone);
+    if (!formatter) return formatDate(date, pattern);
+    const parts = {};
+    formatter.formatToParts(date).forEach(part => { parts[part.type] = +part.value; });
+    return formatDate(new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second), pattern);
+}
+
+function applyTextFormat(text, format) {
+    if (format.trim) text = text.trim();
+    if (format.textCase === 'upper') text = text.toUpperCase();
+    else if (format.textCase === 'lower') text = text.toLowerCase();
+    else if (format.textCase === 'title') text = text.toLowerCase().replace(/(^|\s)(\S)/g, (m, space, ch) => space + ch.toUpperCase());
+
+    if (format.maxLength > 0) {
+        const chars = Array.from(text);
+        if (chars.length > format.maxLength) text = chars.slice(0, format.maxLength - 1).join('') + '…';
+    }
+    if (format.padLength > 0 && format.padChar) {
+        const sign = format.padChar === '0' && format.padSide !== 'end' && /^[-+]/.test(text) ? text[0] : '';
+        const body = sign ? text.slice(1) : text;
+        const width = format.padLength - sign.length;
+        text = sign + (format.padSide === 'end' ? body.padEnd(width, format.padChar) : body.padStart(width, format.padChar));
+    }
+    return (format.prefix || '') + text + (format.suffix || '');
+}
+
+// --- Encoding Logic ---
+
+let eucKrTable = null;
+
+function getOutputCharset() {
+    // Declared in XML and HTML output, so it must match the bytes the file is written in
+    return activeConfig.exportOptions.encoding === 'euc-kr' ? 'EUC-KR' : 'UTF-8';
+}
+
+function* encodeOutput(chunks, format) {
+    const { encoding, lineEnding } = activeConfig.exportOptions;
+    activeConfig.unencodableChars = 0;
+    if (format === 'xlsx' || (encoding === 'utf-8' && lineEnding === 'lf')) {
+        yield* chunks;
+        return;
+    }
+
+    if (encoding === 'utf-8-bom') yield '\uFEFF';
+    let atStart = true;
+    let carry = ''; // A CR ending one piece may belong to a CRLF split across pieces
+    for (let chunk of chunks) {
+        if (lineEnding === 'crlf') {
+            chunk = carry + chunk;
+            carry = chunk.endsWith('\r') ? '\r' : '';
+            chunk = chunk.slice(0, chunk.length - carry.length).replace(/\r?\n/g, '\r\n');
+        }
+        if (atStart && chunk !== '') {
+            // CSV may carry its own BOM: not twice, and EUC-KR has no BOM
+            if (encoding !== 'utf-8') chunk = chunk.replace(/^\uFEFF/, '');
+            atStart = false;
+        }
+        yield encoding === 'euc-kr' ? encodeEucKr(chunk) : chunk;
+    }
+    if (carry) yield encoding === 'euc-kr' ? encodeEucKr(carry) : carry;
+}
+
+function encodeEucKr(text) {
+    // Characters outside EUC-KR/CP949 (emoji, most Hanja variants...) become "?" and are counted
+    if (!eucKrTable) eucKrTable = buildEucKrTable();
+    const bytes = new Uint8Array(text.length * 2);
+    let n = 0;
+    for (const ch of text) {
+        const code = ch.codePointAt(0);
+        if (code < 0x80) {
+            bytes[n++] = code;
+            continue;
+        }
+        const pair = eucKrTable.get(code);
+        if (pair === undefined) {
+            bytes[n++] = 0x3F;
+            activeConfig.unencodableChars++;
+        } else {
+            bytes[n++] = pair >> 8;
+            bytes[n++] = pair & 0xFF;
+        }
+    }
+    return bytes.slice(0, n);
+}
+
+function buildEucKrTable() {
+    // Browsers and Node only decode EUC-KR, so the encoding table is the decoder run backwards:
+    // every CP949 two-byte sequence, keyed by the character it decodes to
+    const decoder = new TextDecoder('euc-kr');
+    const table = new Map();
+    const pair = new Uint8Array(2);
+    for (let lead = 0x81; lead <= 0xFE; lead++) {
+        for (let trail = 0x41; trail <= 0xFE; trail++) {
+            pair[0] = lead;
+            pair[1] = trail;
+            const ch = decoder.decode(pair);
+            if (ch.length === 1 && ch !== '\uFFFD' && !table.has(ch.charCodeAt(0))) {
+                table.set(ch.charCodeAt(0), (lead << 8) | trail);
+            }
+        }
+    }
+    return table;
+}
+
+// --- Text Shape Logic ---
+// JSON and CSV files that carry the TXT output itself (PRD 4.3.3), so copy and download match
+
+function* wrapTextOutput(textChunks, format, shape, trailingNewline) {
+    if (format === 'json' && shape === 'result') {
+        // Same text as JSON.stringify({ result }, null, 2); escaping works on any piece of the string
+        yield '{\n  "result": "';
+        for (const chunk of textChunks) {
+            yield JSON.stringify(chunk).slice(1, -1);
+        }
+        yield '"\n}';
+        return;
+    }
+
+    const lines = splitTextLines(textChunks, trailingNewline);
+    let first = true;
+    if (format === 'json') {
+        // Same text as JSON.stringify(lines, null, 2)
+        for (const piece of lines) {
+            yield (first ? '[\n  ' : ',\n  ') + piece.map(line => JSON.stringify(line)).join(',\n  ');
+            first = false;
+        }
+        yield first ? '[]' : '\n]';
+        return;
+    }
+
+    // CSV: a "result" header, then one row per line
+    const csv = activeConfig.csvOptions;
+    const eol = csv.lineEnding === 'crlf' ? '\r\n' : '\n';
+    let head = csv.bom ? '\uFEFF' : '';
+    if (csv.header) head += quoteCsvValue('result', csv) + eol;
+    for (const piece of lines) {
+        yield (first ? head : eol) + piece.map(line => quoteCsvValue(getCsvText(line, csv, ''), csv)).join(eol);
+        first = false;
+    }
+    if (first) yield head;
+}
+
+function* splitTextLines(textChunks, trailingNewline) {
+    // Lines of the streamed text, as arrays per piece. The newline the trailingNewline option
+    // adds ends the last line instead of starting an empty one.
+    let rest = '';
+    let empty = true;
+    for (const chunk of textChunks) {
+        if (chunk === '') continue;
+        empty = false;
+        const lines = (rest + chunk).split('\n');
+        rest = lines.pop();
+        if (lines.length > 0) yield lines;
+    }
+    if (!empty && !(trailingNewline && rest === '')) yield [rest];
+}
+
+// --- Export Format Logic ---
+// Helpers for the Markdown, HTML, XML, YAML, SQL and XLSX branches of renderOutput
+
+const XML_INVALID_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+const XLSX_MAX_CELL_TEXT = 32767;
+
+function escapeXml(text) {
+    return String(text)
+        .replace(XML_INVALID_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function escapeMarkdownCell(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function toXmlName(name) {
+    // Field paths such as "tags[0]" or "주소 코드" become valid element names ("tags_0_", "주소_코드")
+    let xmlName = String(name).replace(/[^\p{L}\p{N}_.-]/gu, '_');
+    if (!/^[\p{L}_]/u.test(xmlName) || /^xml/i.test(xmlName)) xmlName = '_' + xmlName;
+    return xmlName;
+}
+
+function renderYamlScalar(val) {
+    if (val === null || val === undefined) return 'null';
+    if (typeof val === 'boolean') return String(val);
+    if (typeof val === 'number') return Number.isFinite(val) ? String(val) : JSON.stringify(String(val));
+    const text = String(val);
+    // Plain only when a YAML reader can't take it for anything but this string
+    const plain = /^[^\s\-?:,[\]{}#&*!|>'"%@`~][^:#\n\r\t"\\]*$/.test(text)
+        && !/\s$/.test(text)
+        && isNaN(Number(text))
+        && !/^(true|false|yes|no|on|off|null|y|n)$/i.test(text)
+        && !/^\d{4}-\d{2}-\d{2}/.test(text);
+    return plain ? text : JSON.stringify(text); // JSON strings are valid double-quoted YAML
+}
+
+function renderYamlMapping(obj, indent) {
+    // "key: value" lines; the caller writes what goes before the first one ("- " or indent)
+    return Object.keys(obj)
+        .map(key => renderYamlScalar(key) + ':' + renderYamlNode(obj[key], indent + '  '))
+        .join('\n' + indent);
+}
+
+function renderYamlNode(val, indent) {
+    // What follows "key:" - a scalar on the same line or a nested block
+    if (Array.isArray(val)) {
+        if (val.length === 0) return ' []';
+        return val.map(el => {
+            if (el !== null && typeof el === 'object' && !Array.isArray(el) && Object.keys(el).length > 0) {
+                return '\n' + indent + '- ' + renderYamlMapping(el, indent + '  ');
+            }
+            // Scalars, empty containers and nested arrays (as JSON flow style, which YAML reads)
+            return '\n' + indent + '- ' + (Array.isArray(el) ? JSON.stringify(el) : renderYamlNode(el, indent + '  ').trimStart());
+        }).join('');
+    }
+    if (val !== null && typeof val === 'object') {
+        if (Object.keys(val).length === 0) return ' {}';
+        return '\n' + indent + renderYamlMapping(val, indent);
+    }
+    return ' ' + renderYamlScalar(val);
+}
+
+function quoteSqlIdentifier(name, dialect) {
+    if (dialect === 'mysql') return '`' + name.replace(/`/g, '``') + '`';
+    if (dialect === 'mssql') return '[' + name.replace(/]/g, ']]') + ']';
+    return '"' + name.replace(/"/g, '""') + '"';
+}
+
+function toSqlLiteral(val, dialect, arraySep) {
+    if (val === null || val === undefined) return 'NULL';
+    if (typeof val === 'number' && Number.isFinite(val)) return String(val);
+    if (typeof val === 'boolean') return dialect === 'mssql' ? (val ? '1' : '0') : (val ? 'TRUE' : 'FALSE');
+    let text = stringifyValue(val, arraySep).replace(/'/g, "''");
+    // MySQL reads backslashes as escapes by default; N'' keeps Unicode text in SQL Server
+    if (dialect === 'mysql') text = text.replace(/\\/g, '\\\\');
+    return (dialect === 'mssql' ? "N'" : "'") + text + "'";
+}
+
+function toColumnLetters(index) {
+    // 0 -> A, 25 -> Z, 26 -> AA
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+    }
+    return letters;
+}
+
+function renderXlsxCell(val, ref, arraySep) {
+    if (val === null || val === undefined || val === '') return '';
+    if (typeof val === 'number' && Number.isFinite(val)) return `<c r="${ref}"><v>${val}</v></c>`;
+    if (typeof val === 'boolean') return `<c r="${ref}" t="b"><v>${val ? 1 : 0}</v></c>`;
+    const text = Array.from(stringifyValue(val, arraySep)).slice(0, XLSX_MAX_CELL_TEXT).join('');
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+const XLSX_PARTS = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + '<sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets>'
+        + '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>',
+    'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+        + '</styleSheet>'
+};
+
+function* buildXlsx(sheetChunks) {
+    // The sheet has to be complete before its size and CRC go into the ZIP header
+    const encoder = new TextEncoder();
+    const sheetParts = [];
+    for (const chunk of sheetChunks) {
+        sheetParts.push(encoder.encode(chunk));
+    }
+    const entries = Object.entries(XLSX_PARTS).map(([name, xml]) => ({ name, parts: [encoder.encode(xml)] }));
+    entries.splice(3, 0, { name: 'xl/worksheets/sheet1.xml', parts: sheetParts });
+    yield* zipStored(entries);
+}
+
+// --- Zip Logic ---
+// Store-only (uncompressed) ZIP archives, written piece by piece as Uint8Arrays
+
+let crcTable = null;
+
+function crc32(bytes, crc = 0) {
+    // Pass the previous result as crc to continue over several pieces
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let state = (crc ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        state = crcTable[(state ^ bytes[i]) & 0xFF] ^ (state >>> 8);
+    }
+    return (state ^ 0xFFFFFFFF) >>> 0;
+}
+
+function* zipStored(entries) {
+    // entries: [{ name, parts: Uint8Array[] }]. Timestamps are fixed (1980-01-01) so the same
+    // content always gives the same bytes; names are flagged as UTF-8.
+    const encoder = new TextEncoder();
+    const UTF8_FLAG = 0x0800;
+    const DOS_DATE = 0x0021;
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        let crc = 0;
+        let size = 0;
+        entry.parts.forEach(part => {
+            crc = crc32(part, crc);
+            size += part.length;
+        });
+
+        const header = new Uint8Array(30 + name.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034b50, true);
+        view.setUint16(4, 20, true);
+        view.setUint16(6, UTF8_FLAG, true);
+        view.setUint16(8, 0, true);          // Stored
+        view.setUint16(10, 0, true);         // Time
+        view.setUint16(12, DOS_DATE, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, size, true);
+        view.setUint32(22, size, true);
+        view.setUint16(26, name.length, true);
+        view.setUint16(28, 0, true);
+        header.set(name, 30);
+        yield header;
+        yield* entry.parts;
+
+        central.push({ name, crc, size, offset });
+        offset += header.length + size;
+    }
+
+    let centralSize = 0;
+    for (const { name, crc, size, offset: localOffset } of central) {
+        const record = new Uint8Array(46 + name.length);
+        const view = new DataView(record.buffer);
+        view.setUint32(0, 0x02014b50, true);
+        view.setUint16(4, 20, true);
+        view.setUint16(6, 20, true);
+        view.setUint16(8, UTF8_FLAG, true);
+        view.setUint16(10, 0, true);
+        view.setUint16(12, 0, true);
+        view.setUint16(14, DOS_DATE, true);
+        view.setUint32(16, crc, true);
+        view.setUint32(20, size, true);
+        view.setUint32(24, size, true);
+        view.setUint16(28, name.length, true);
+        // Extra field, comment, disk number, attributes: all zero
+        view.setUint32(42, localOffset, true);
+        record.set(name, 46);
+        centralSize += record.length;
+        yield record;
+    }
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, central.length, true);
+    view.setUint16(10, central.length, true);
+    view.setUint32(12, centralSize, true);
+    view.setUint32(16, offset, true);
+    yield end;
+}
+
+function* iterateOutputZip(files, config, format, { onProgress = null } = {}) {
+    // One output file per input (same transformation), packed into a ZIP.
+    // files: [{ name, records }], name without extension. Sums config.unencodableChars over all files.
+    const encoder = new TextEncoder();
+    const used = new Set();
+    let unencodable = 0;
+    const entries = files.map((file, i) => {
+        const parts = [];
+        for (const chunk of iterateOutput(file.records, config, format, { encode: true })) {
+            parts.push(typeof chunk === 'string' ? encoder.encode(chunk) : chunk);
+        }
+        unencodable += config.unencodableChars;
+        if (onProgress) onProgress(i + 1, files.length);
+
+        // Same-named inputs (from different folders) must not overwrite each other
+        const base = String(file.name).replace(/[\\/]/g, '_');
+        let name = `${base}.${format}`;
+        for (let n = 2; used.has(name); n++) name = `${base} (${n}).${format}`;
+        used.add(name);
+        return { name, parts };
+    });
+    config.unencodableChars = unencodable;
+    yield* zipStored(entries);
+}
+
+// --- Join Logic ---
+// Enriching records with a second (lookup) dataset on a key field, like a SQL join
+
+const DEFAULT_JOIN_OPTIONS = {
+    leftKey: '',          // Key field path in the records
+    rightKey: '',         // Key field path in the lookup records
+    mode: 'left',         // 'inner': matched rows only, 'left': every record, 'full': also unmatched lookup rows
+    conflict: 'rename',   // Lookup columns the records already have: 'rename' (add suffix), 'left' (keep record), 'right' (lookup wins)
+    suffix: '_lookup'     // Appended to renamed lookup columns
+};
+
+function getJoinKey(record, path) {
+    // Keys compare as text, so 7 and "7" match; missing or empty keys never match
+    const value = record !== null && typeof record === 'object' ? getPath(record, path) : undefined;
+    if (value === null || value === undefined || value === '') return null;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function joinRecords(records, lookup, options = {}) {
+    // Returns { records, stats: { matched, unmatched, lookupOnly } }. A record matching several
+    // lookup rows becomes several rows. The lookup key column is left out: it equals the record key.
+    const o = { ...DEFAULT_JOIN_OPTIONS, ...options };
+    const isObject = val => val !== null && typeof val === 'object' && !Array.isArray(val);
+
+    const index = new Map();
+    lookup.forEach((row, i) => {
+        const key = getJoinKey(row, o.rightKey);
+        if (key === null) return;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(i);
+    });
+
+    // Lookup columns are renamed once, by whether any record has the same top-level field
+    const leftColumns = new Set();
+    records.forEach(rec => {
+        if (isObject(rec)) Object.keys(rec).forEach(k => leftColumns.add(k));
+    });
+    const rightKeyPath = parsePath(o.rightKey);
+    const droppedColumn = rightKeyPath.length === 1 ? String(rightKeyPath[0]) : null;
+    const suffix = o.suffix || DEFAULT_JOIN_OPTIONS.suffix;
+    const targetName = name => (o.conflict === 'rename' && leftColumns.has(name) ? name + suffix : name);
+
+    const addLookupFields = (out, row, fromRecord) => {
+        if (!isObject(row)) return out;
+        Object.keys(row).forEach(name => {
+            if (name === droppedColumn) return;
+            const target = targetName(name);
+            if (o.conflict === 'left' && fromRecord && Object.prototype.hasOwnProperty.call(out, target)) return;
+            setOwnValue(out, target, row[name]); // A lookup column named "__proto__" stays a column
+        });
+        return out;
+    };
+
+    const joined = [];
+    const used = new Set();
+    const stats = { matched: 0, unmatched: 0, lookupOnly: 0 };
+    records.forEach(rec => {
+        const key = getJoinKey(rec, o.leftKey);
+        const matches = key !== null && index.has(key) ? index.get(key) : [];
+        if (matches.length === 0) {
+            stats.unmatched++;
+            if (o.mode !== 'inner') joined.push(isObject(rec) ? { ...rec } : rec);
+            return;
+        }
+        stats.matched++;
+        matches.forEach(i => {
+            used.add(i);
+            joined.push(addLookupFields(isObject(rec) ? { ...rec } : {}, lookup[i], true));
+        });
+    });
+
+    if (o.mode === 'full') {
+        lookup.forEach((row, i) => {
+            if (used.has(i)) return;
+            stats.lookupOnly++;
+            // Unmatched lookup rows carry their key under the records' key field
+            const out = {};
+            const key = isObject(row) ? getPath(row, o.rightKey) : undefined;
+            const keyPath = parsePath(o.leftKey);
+            if (key !== undefined && isSafePath(o.leftKey)) {
+                setPath(out, o.leftKey, key);
+            } else if (key !== undefined && keyPath.length === 1) {
+                setOwnValue(out, String(keyPath[0]), key); // e.g. a "__proto__" key field, kept flat
+            }
+            joined.push(addLookupFields(out, row, false));
+        });
+    }
+    return { records: joined, stats };
+}
+
+// --- Input Logic ---
+
+function resolveDelimiter(text, importOptions) {
+    const chosen = importOptions.delimiter;
+    return chosen === 'auto' ? detectDelimiter(text) : chosen;
+}
+
+function parseInputText(text, importOptions = DEFAULT_IMPORT_OPTIONS) {
+    // JSON document, CSV/TSV, or NDJSON / concatenated JSON, in that order.
+    // Throws the JSON.parse error when nothing fits.
+    const input = text.trim();
+    try {
+        return { format: 'json', root: JSON.parse(input), errors: [] };
+    } catch (err) {
+        // Spreadsheet data: anything that doesn't open like JSON but splits into columns
+        const delimiter = /^[{[]/.test(input) ? null : resolveDelimiter(input, importOptions);
+        if (delimiter) {
+            const result = parseDelimited(input, {
+                delimiter,
+                header: importOptions.header,
+                inferTypes: importOptions.inferTypes
+            });
+            return {
+                format: 'csv',
+                root: result.records,
+                errors: result.errors,
+                delimiter: result.delimiter,
+                hasHeader: result.hasHeader
+            };
+        }
+
+        // Not a single document: try NDJSON / concatenated JSON values
+        const sequence = parseJsonSequence(input);
+        if (sequence.valueCount < 2) throw err;
+        return { format: sequence.format, root: sequence.records, errors: sequence.errors };
+    }
+}
+
+function pickRecordPath(root, candidates, preferredPath) {
+    // Keep the preferred record path if it still matches, otherwise pick the largest array
+    if (Array.isArray(root)) return '$';
+    const preferred = preferredPath && preferredPath !== '$' && selectJsonPath(root, preferredPath);
+    if (preferred && preferred.length > 0) return preferredPath;
+    if (candidates.length === 0) return '$';
+    return candidates.reduce((best, c) => c.count > best.count ? c : best).path;
+}
+
+function readInputRecords(text, importOptions, preferredPath = null) {
+    // The record array of one input file, located like the page does for a loaded file.
+    // Throws when the text doesn't parse.
+    const input = parseInputText(text, importOptions);
+    const path = pickRecordPath(input.root, findRecordArrays(input.root), preferredPath);
+    const records = selectJsonPath(input.root, path);
+    return { records: Array.isArray(records) ? records : [], path, format: input.format, errors: input.errors };
+}
+
+function collectFields(records, arrayMode, derivedFields) {
+    // All unique field paths (nested objects/arrays flattened) in found order, derived fields last
+    const keys = new Set();
+    records.forEach(item => {
+        if (typeof item === 'object' && item !== null) {
+            collectFieldPaths(item, [], keys, arrayMode);
+        }
+    });
+    const fields = Array.from(keys);
+    derivedFields.forEach(d => {
+        if (!fields.includes(d.name)) fields.push(d.name);
+    });
+    return fields;
+}
+
+function resolveFieldSelection(available, config) {
+    // Fields the config knows keep its order and selection; fields it doesn't know go last, selected
+    const availableSet = new Set(available);
+    const known = (config.fields || []).filter(f => availableSet.has(f));
+    const unknown = available.filter(f => !known.includes(f));
+    return {
+        fields: [...known, ...unknown],
+        selectedFields: [
+            ...(config.selectedFields || known).filter(f => availableSet.has(f)),
+            ...unknown
+        ]
+    };
+}
+
+// Node (cli.js) imports the core as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_OPTIONS,
+        DEFAULT_IMPORT_OPTIONS,
+        DEFAULT_CSV_OPTIONS,
+        DEFAULT_EXPORT_OPTIONS,
+        DEFAULT_JOIN_OPTIONS,
+        OUTPUT_FORMATS,
+        createTransformConfig,
+        useTransformConfig,
+        formatOutput,
+        iterateOutput,
+        selectOutputRecords,
+        analyzeRecords,
+        parseInputText,
+        readInputRecords,
+        joinRecords,
+        pickRecordPath,
+        findRecordArrays,
+        selectJsonPath,
+        looseEquals,
+        collectFields,
+        resolveFieldSelection,
+        parseJsonSequence,
+        parseDelimited,
+        serializeDelimited,
+        getPath,
+        setPath,
+        isSafePath,
+        formatPath,
+        parsePath,
+        stringifyValue,
+        inferSchema,
+        coerceValue,
+        checkJsonSchema,
+        validateRecord,
+        validateRecords,
+        zipStored,
+        iterateOutputZip
+    };
+}
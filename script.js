@@ -1,20 +1,54 @@
 /**
  * JSON Re-Formatter Logic
- * Core functionality: JSON parsing, field management, formatting, and formatting.
+ * Page state, DOM wiring and editing. Parsing and formatting live in core.js.
  */
 
 // State
 let appState = {
     originalData: [], // Array of objects elements
+    sourceRoot: null, // Parsed input as-is (records may live somewhere inside it)
+    sourceName: '',   // Loaded file name without extension ({source} in the filename template)
+    batchFiles: [],   // Several loaded files: { name, base, records, status: 'ok'|'warning'|'error', message }
+    batchSourceColumn: true, // Batch records get a "_source" field with their file name
+    lookupRecords: [], // Second dataset joined onto the records, see Join Logic in core.js
+    joinOptions: { ...DEFAULT_JOIN_OPTIONS },
+    joinBase: null,    // Records before the join while originalData holds the joined ones
+    recordPath: '$',  // JSONPath-like location of the record array inside sourceRoot
+    inputFormat: 'json', // 'json' | 'ndjson' (one value per line) | 'concat' (back-to-back values) | 'csv'
+    importOptions: { ...DEFAULT_IMPORT_OPTIONS },
+    importDelimiter: ',', // Delimiter actually used for the loaded CSV/TSV
+    importHasHeader: true,
+    parseErrors: [],  // Per-value parse errors for NDJSON/concatenated input: { line, message }
     fields: [],       // List of all available keys
     selectedFields: [], // Keys selected by user (ordered)
-    mappings: [],       // Value mapping rules
-    options: {
-        useTab: true,
-        singleLine: false,
-        startIndent: 0,
-        fieldSpacing: 1
+    mappings: [],       // Value mapping rules: { field, op, from, from2, to, type }, first match per field wins
+    derivedFields: [],  // Computed fields: { name, expr }, listed in fields like real keys
+    derivedErrors: {},  // First evaluation error per derived field (from the last output run)
+    fieldTypes: {},     // Target type per field: 'string'|'integer'|'float'|'boolean'|'date', coerced before output
+    coercionErrors: {}, // Values per field that didn't convert to the target type (from the last output run)
+    fieldFormats: {},   // Display format per field (number, date, case, padding...), see Value Format Logic in core.js
+    validation: {
+        schema: null,         // JSON Schema (draft 2020-12 subset) each record is checked against
+        excludeInvalid: false // Leave records that fail it out of the output
     },
+    rowFilter: {        // Row filter: groups of conditions { field, op, value, value2 }
+        logic: 'and',   // How groups combine
+        groups: []      // { logic: 'and' | 'or', conditions: [] }
+    },
+    sortKeys: [],       // Output order: { field, direction: 'asc'|'desc', compare: 'auto'|'numeric'|'string'|'locale', missing: 'first'|'last' }
+    groupBy: {
+        enabled: false,
+        fields: [],     // Grouping fields, in column order
+        aggregates: []  // { op: 'count'|'sum'|'avg'|'min'|'max'|'distinct'|'concat', field, as }
+    },
+    options: { ...DEFAULT_OPTIONS }, // Formatting options, see DEFAULT_OPTIONS in core.js
+    csvOptions: { ...DEFAULT_CSV_OPTIONS, headerLabels: {} }, // CSV dialect, see DEFAULT_CSV_OPTIONS in core.js
+    exportOptions: { ...DEFAULT_EXPORT_OPTIONS }, // Format-specific settings and text shapes, see DEFAULT_EXPORT_OPTIONS in core.js
+    unencodableChars: 0, // Characters the last inline download's encoding couldn't write
+    columnAlign: {},  // Fixed mode alignment per field: 'left' | 'right' | 'center' (missing = auto)
+    outputFormat: 'txt', // Last used export format
+    presets: [],      // Saved transformations: { name, savedAt, sourceFields, config }
+    autoApplyPresets: true, // Apply a preset whose fields match a newly loaded file
     fontSize: 14,  // Default font size in pixels (output)
     inputFontSize: 14,  // Default font size for input
     tableViewVisible: false,  // Table view toggle state
@@ -22,6 +56,9 @@ let appState = {
     colorCodingEnabled: false  // Color coding toggle state
 };
 
+// appState doubles as the transform config the core functions read
+useTransformConfig(appState);
+
 // DOM Elements
 const els = {
     dropZone: document.getElementById('dropZone'),
@@ -29,6 +66,7 @@ const els = {
     inputStatus: document.getElementById('inputStatus'),
     fieldList: document.getElementById('fieldList'),
     outputPreview: document.getElementById('outputPreview'),
+    rowCountStatus: document.getElementById('rowCountStatus'),
     btnCopy: document.getElementById('copyBtn'),
     btnZoomIn: document.getElementById('zoomInBtn'),
     btnZoomOut: document.getElementById('zoomOutBtn'),
@@ -43,6 +81,13 @@ const els = {
     optSingleLine: document.getElementById('singleLine'),
     optStartIndent: document.getElementById('startIndent'),
     optFieldSpacing: document.getElementById('fieldSpacing'),
+    optArrayMode: document.getElementById('arrayMode'),
+    optArraySeparator: document.getElementById('arraySeparator'),
+    optTxtMode: document.getElementById('txtMode'),
+    optLineTemplate: document.getElementById('lineTemplate'),
+    templateOptions: document.getElementById('templateOptions'),
+    fixedOptions: document.getElementById('fixedOptions'),
+    optFixedMaxWidth: document.getElementById('fixedMaxWidth'),
     mappingRemove: null, // Will be init in setupMappingUI
     toggleTableViewBtn: document.getElementById('toggleTableViewBtn'),
     toggleColorCodingBtn: document.getElementById('toggleColorCodingBtn'),
@@ -54,13 +99,38 @@ const els = {
     closeModalBtn: document.getElementById('closeModalBtn'),
     modalDataTable: document.getElementById('modalDataTable'),
     addColumnBtn: document.getElementById('addColumnBtn'),
-    addRowBtn: document.getElementById('addRowBtn')
+    addRowBtn: document.getElementById('addRowBtn'),
+    recordRootBar: document.getElementById('recordRootBar'),
+    recordRootSelect: document.getElementById('recordRootSelect'),
+    recordPathInput: document.getElementById('recordPathInput'),
+    applyRecordPathBtn: document.getElementById('applyRecordPathBtn'),
+    csvImportBar: document.getElementById('csvImportBar'),
+    importDelimiter: document.getElementById('importDelimiter'),
+    importHeader: document.getElementById('importHeader'),
+    importInferTypes: document.getElementById('importInferTypes'),
+    taskProgress: document.getElementById('taskProgress'),
+    taskProgressLabel: document.getElementById('taskProgressLabel'),
+    taskProgressBar: document.getElementById('taskProgressBar'),
+    cancelTaskBtn: document.getElementById('cancelTaskBtn')
 };
 
 // --- Initialization ---
 function init() {
     setupEventListeners();
+    setupBatchUI();
+    setupJoinUI();
     setupMappingUI();
+    setupDerivedFieldUI();
+    setupRowFilterUI();
+    setupSortUI();
+    setupGroupByUI();
+    setupFieldFormatUI();
+    setupCsvOptionsUI();
+    setupExportOptionsUI();
+    setupSchemaUI();
+    setupValidationUI();
+    setupPresetUI();
+    setupHistoryUI();
 }
 
 function setupEventListeners() {
@@ -78,12 +148,7 @@ function setupEventListeners() {
     els.dropZone.addEventListener('drop', (e) => {
         e.preventDefault();
         els.dropZone.classList.remove('dragover');
-        const file = e.dataTransfer.files[0];
-        if (file && file.type === 'application/json' || file.name.endsWith('.json')) {
-            readFile(file);
-        } else {
-            showToast('JSON 파일만 업로드 가능합니다.');
-        }
+        openFiles([...e.dataTransfer.files]);
     });
 
     // 2. Options
@@ -105,6 +170,38 @@ function setupEventListeners() {
         appState.options.fieldSpacing = val;
         updatePreview();
     });
+    els.optArrayMode.addEventListener('change', (e) => {
+        appState.options.arrayMode = e.target.value;
+        els.optArraySeparator.disabled = e.target.value !== 'join';
+        if (appState.originalData.length === 0) return;
+        // Field paths depend on the array mode, so rediscover them
+        extractFields(true);
+        assignFieldColors();
+        renderFieldList();
+        updateMappingSelect();
+        updatePreview();
+    });
+    els.optArraySeparator.addEventListener('input', (e) => {
+        appState.options.arraySeparator = e.target.value;
+        updatePreview();
+    });
+    els.optTxtMode.addEventListener('change', (e) => {
+        appState.options.txtMode = e.target.value;
+        els.templateOptions.classList.toggle('hidden', e.target.value !== 'template');
+        els.fixedOptions.classList.toggle('hidden', e.target.value !== 'fixed');
+        els.fieldList.classList.toggle('fixed-mode', e.target.value === 'fixed');
+        updatePreview();
+    });
+    els.optFixedMaxWidth.addEventListener('input', (e) => {
+        let val = parseInt(e.target.value, 10);
+        if (isNaN(val) || val < 0) val = 0;
+        appState.options.fixedMaxWidth = val;
+        updatePreview();
+    });
+    els.optLineTemplate.addEventListener('input', (e) => {
+        appState.options.lineTemplate = e.target.value;
+        updatePreview();
+    });
 
     // 3. Actions
     els.btnCopy.addEventListener('click', copyToClipboard);
@@ -125,11 +222,45 @@ function setupEventListeners() {
     els.closeModalBtn.addEventListener('click', closeFullEditor);
     els.addColumnBtn.addEventListener('click', addColumn);
     els.addRowBtn.addEventListener('click', addRow);
+    attachTableEditListeners();
+    attachModalTableListeners();
+
+    // Background task progress
+    els.cancelTaskBtn.addEventListener('click', cancelWorkerTask);
+
+    // Record root selection (for object payloads like { data: { items: [...] } })
+    els.recordRootSelect.addEventListener('change', (e) => {
+        els.recordPathInput.value = e.target.value;
+        selectRecordRoot(e.target.value);
+    });
+    els.applyRecordPathBtn.addEventListener('click', () => {
+        selectRecordRoot(els.recordPathInput.value.trim() || '$');
+    });
+    els.recordPathInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            selectRecordRoot(els.recordPathInput.value.trim() || '$');
+        }
+    });
+
+    // CSV/TSV import options re-parse the current input
+    els.importDelimiter.addEventListener('change', (e) => {
+        appState.importOptions.delimiter = e.target.value;
+        handleInput();
+    });
+    els.importHeader.addEventListener('change', (e) => {
+        appState.importOptions.header = e.target.value;
+        handleInput();
+    });
+    els.importInferTypes.addEventListener('change', (e) => {
+        appState.importOptions.inferTypes = e.target.checked;
+        handleInput();
+    });
 
     // Export Data Binding
     els.exportBtns.forEach(btn => {
         btn.addEventListener('click', () => {
-            const type = btn.dataset.type; // txt, json, csv
+            const type = btn.dataset.type; // txt, json, ndjson, csv
             downloadFile(type);
         });
     });
@@ -137,9 +268,15 @@ function setupEventListeners() {
 
 // --- Logic ---
 
+function isSupportedFile(file) {
+    return file.type === 'application/json' || /\.(json|ndjson|jsonl|csv|tsv)$/i.test(file.name);
+}
+
 function readFile(file) {
     const reader = new FileReader();
     reader.onload = (e) => {
+        clearBatchFiles();
+        appState.sourceName = file.name.replace(/\.[^.]+$/, '');
         els.jsonInput.value = e.target.result;
         handleInput();
     };
@@ -149,76 +286,216 @@ function readFile(file) {
 function handleInput() {
     const rawText = els.jsonInput.value.trim();
     if (!rawText) {
+        cancelWorkerTask();
         resetState();
         return;
     }
+    if (rawText.length >= WORKER_INPUT_THRESHOLD) {
+        parseInWorker(rawText);
+        return;
+    }
     parseJSON(rawText);
 }
 
 function parseJSON(jsonStr) {
+    let input;
     try {
-        const parsed = JSON.parse(jsonStr);
+        input = parseInputText(jsonStr, appState.importOptions);
+    } catch (err) {
+        showStatus('Invalid JSON: ' + err.message, false);
+        return;
+    }
+    applyParsedInput(input);
+}
 
-        if (!Array.isArray(parsed) || parsed.length === 0) {
-            showStatus('Array of objects required', false);
-            return;
-        }
+function parseInWorker(text) {
+    showStatus('Parsing...', true);
+    runWorkerTask(
+        { type: 'parse', text, importOptions: appState.importOptions, recordPath: appState.recordPath },
+        () => ({ input: parseInputText(text, appState.importOptions) })
+    ).then(({ input, candidates, path }) => {
+        applyParsedInput(input, candidates, path);
+    }).catch(err => {
+        showStatus(err.cancelled ? 'Parsing cancelled' : 'Invalid JSON: ' + err.message, false);
+    });
+}
 
-        appState.originalData = parsed;
+function applyParsedInput(input, candidates = null, path = null) {
+    appState.inputFormat = input.format;
+    appState.parseErrors = input.errors;
+    if (input.format === 'csv') {
+        loadDelimitedInput(input);
+        return;
+    }
 
-        // Extract fields
-        const fieldSet = new Set();
-        parsed.forEach(item => {
-            Object.keys(item).forEach(key => fieldSet.add(key));
-        });
-        appState.fields = Array.from(fieldSet);
+    els.csvImportBar.classList.add('hidden');
+    appState.sourceRoot = input.root;
+    // The worker finds the record arrays itself; inline parsing does it here
+    if (!candidates) candidates = findRecordArrays(input.root);
+    renderRecordRootOptions(candidates);
+    selectRecordRoot(path || pickRecordPath(input.root, candidates, appState.recordPath));
+}
 
-        // Assign rainbow colors to fields
-        appState.fieldColors = {};
-        appState.fields.forEach((field, index) => {
-            appState.fieldColors[field] = index % 8; // 8 rainbow colors
-        });
+function loadDelimitedInput(input) {
+    appState.importDelimiter = input.delimiter;
+    appState.importHasHeader = input.hasHeader;
+    appState.sourceRoot = input.root;
+    appState.recordPath = '$';
+    els.recordRootBar.classList.add('hidden');
+    els.csvImportBar.classList.remove('hidden');
 
-        // Default: select all
-        appState.selectedFields = [...appState.fields];
+    if (input.root.length === 0) {
+        showStatus('No rows found', false);
+        return;
+    }
+    loadRecords(input.root);
+}
 
-        renderFieldList();
-        updateMappingSelect();
-        updatePreview();
-        applyRainbowColorsToInput();
-        showStatus(`Loaded ${parsed.length} items`, true);
+function selectRecordRoot(path) {
+    if (appState.sourceRoot === null) return;
+
+    let records;
+    try {
+        records = selectJsonPath(appState.sourceRoot, path);
     } catch (err) {
-        showStatus('Invalid JSON: ' + err.message, false);
+        showStatus('Invalid path: ' + err.message, false);
+        return;
+    }
+
+    appState.recordPath = path;
+    els.recordPathInput.value = path;
+    if ([...els.recordRootSelect.options].some(opt => opt.value === path)) {
+        els.recordRootSelect.value = path;
+    }
+
+    if (!records || records.length === 0) {
+        showStatus(Array.isArray(appState.sourceRoot) ? 'Array of objects required' : `No records at ${path}`, false);
+        return;
+    }
+
+    loadRecords(records);
+}
+
+function loadRecords(records) {
+    const previousSignature = getFieldSignature(getSourceFields());
+    appState.originalData = records;
+    dataVersion++;
+    // New records replace a join; applyJoin sets the base again afterwards
+    appState.joinBase = null;
+
+    // Extract fields (nested paths included), default: select all
+    extractFields(false);
+
+    // A different field set means a new file: restore a matching preset if there is one
+    const signature = getFieldSignature(getSourceFields());
+    if (appState.autoApplyPresets && signature !== previousSignature) {
+        const preset = findMatchingPreset(signature);
+        if (preset) {
+            applyTransformConfig(preset.config, { silent: true });
+            els.presetSelect.value = preset.name;
+            showToast(`프리셋 "${preset.name}"을(를) 적용했습니다.`);
+        }
+    }
+    assignFieldColors();
+
+    renderFieldList();
+    updateMappingSelect();
+    renderFilterPanel();
+    renderSortPanel();
+    renderGroupPanel();
+    updatePreview();
+    // Freshly loaded input starts a new history
+    resetHistory();
+    applyRainbowColorsToInput();
+    renderJoinControls();
+    const location = appState.recordPath !== '$' ? ` from ${appState.recordPath}` : '';
+    const formatName = appState.inputFormat === 'csv' && appState.importDelimiter === '\t' ? 'tsv' : appState.inputFormat;
+    const format = formatName !== 'json' ? ` (${formatName.toUpperCase()})` : '';
+    const errors = appState.parseErrors;
+    if (errors.length === 0) {
+        showStatus(`Loaded ${records.length} items${location}${format}`, true);
+        return;
+    }
+
+    const summary = errors.slice(0, 3).map(e => `line ${e.line}: ${e.message}`).join(', ');
+    const more = errors.length > 3 ? `, +${errors.length - 3} more` : '';
+    showStatus(`Loaded ${records.length} items${format}, ${errors.length} errors (${summary}${more})`, false);
+    els.inputStatus.title = errors.map(e => `line ${e.line}: ${e.message}`).join('\n');
+}
+
+function renderRecordRootOptions(candidates) {
+    // Only object payloads need a record root selector
+    if (Array.isArray(appState.sourceRoot)) {
+        els.recordRootBar.classList.add('hidden');
+        return;
+    }
+
+    els.recordRootSelect.innerHTML = '';
+    if (candidates.length === 0) {
+        els.recordRootSelect.innerHTML = '<option value="">배열을 찾을 수 없습니다</option>';
     }
+    candidates.forEach(c => {
+        const opt = document.createElement('option');
+        opt.value = c.path;
+        opt.textContent = `${c.path} (${c.count}개)`;
+        els.recordRootSelect.appendChild(opt);
+    });
+    els.recordRootBar.classList.remove('hidden');
 }
 
 function resetState() {
+    clearHistory();
     appState.originalData = [];
     appState.fields = [];
     appState.selectedFields = [];
+    appState.sourceRoot = null;
+    appState.sourceName = '';
+    clearBatchFiles();
+    appState.inputFormat = 'json';
+    appState.parseErrors = [];
+    els.csvImportBar.classList.add('hidden');
+    els.recordRootBar.classList.add('hidden');
     els.fieldList.innerHTML = '<div class="empty-state">데이터를 입력하면 필드가 표시됩니다.</div>';
     els.outputPreview.textContent = '// 결과가 여기에 표시됩니다...';
+    els.rowCountStatus.textContent = '';
     els.inputStatus.textContent = 'Waiting...';
+    schemaInfo = null;
+    validationInfo = null;
+    analysisRequestId++;
+    renderSchemaPanel();
+    renderValidationSummary();
+    appState.joinBase = null;
+    renderJoinControls();
 }
 
-function extractFields() {
-    // Get all unique keys from all objects
-    const keys = new Set();
-    appState.originalData.forEach(item => {
-        if (typeof item === 'object' && item !== null) {
-            Object.keys(item).forEach(k => keys.add(k));
-        }
-    });
-    appState.fields = Array.from(keys);
+function extractFields(preserveSelection) {
+    // Get all unique field paths from all objects; derived fields are kept across reloads
+    const discovered = collectFields(appState.originalData, appState.options.arrayMode, appState.derivedFields);
+    const keys = new Set(discovered);
 
-    // By default, select all fields in found order
-    if (appState.selectedFields.length === 0) {
-        appState.selectedFields = [...appState.fields];
-    } else {
-        // Keep existing selection if valid, add new ones if any
-        // For simplicity in V1, let's just reset selection on new file load
+    if (!preserveSelection || appState.selectedFields.length === 0) {
+        // By default, select all fields in found order
+        appState.fields = discovered;
         appState.selectedFields = [...appState.fields];
+        return;
     }
+
+    // Keep existing order and selection for fields that still exist, new ones go last (selected)
+    const kept = appState.fields.filter(f => keys.has(f));
+    const added = discovered.filter(f => !kept.includes(f));
+    appState.fields = [...kept, ...added];
+    appState.selectedFields = [
+        ...appState.selectedFields.filter(f => keys.has(f)),
+        ...added
+    ];
+}
+
+function assignFieldColors() {
+    // Assign rainbow colors to fields
+    appState.fieldColors = {};
+    appState.fields.forEach((field, index) => {
+        appState.fieldColors[field] = index % 8; // 8 rainbow colors
+    });
 }
 
 function renderFieldList() {
@@ -257,10 +534,16 @@ function renderFieldList() {
 
         const isSelected = appState.selectedFields.includes(field);
 
+        const derived = getDerivedField(field);
+        if (derived) chip.title = `= ${derived.expr}`;
+
         chip.innerHTML = `
             <span class="drag-handle">☰</span>
-            <input type="checkbox" value="${field}" ${isSelected ? 'checked' : ''}>
-            <span>${field}</span>
+            <input type="checkbox" value="${escapeHtml(field)}" ${isSelected ? 'checked' : ''}>
+            ${derived ? '<span class="derived-badge">ƒ</span>' : ''}
+            <span class="${!derived && isNestedPath(field) ? 'field-path' : ''}">${escapeHtml(field)}</span>
+            <button class="format-btn${appState.fieldFormats[field] ? ' active' : ''}" title="값 서식">Aa</button>
+            <button class="align-btn" title="정렬: ${ALIGN_LABELS[appState.columnAlign[field] || 'auto']}">${ALIGN_ICONS[appState.columnAlign[field] || 'auto']}</button>
         `;
 
         // 1. Checkbox Event
@@ -270,6 +553,20 @@ function renderFieldList() {
             updatePreview();
         });
 
+        chip.querySelector('.format-btn').addEventListener('click', () => openFieldFormatPanel(field));
+
+        // Fixed-width alignment: auto -> left -> right -> center
+        const alignBtn = chip.querySelector('.align-btn');
+        alignBtn.addEventListener('click', () => {
+            const order = ['auto', 'left', 'right', 'center'];
+            const next = order[(order.indexOf(appState.columnAlign[field] || 'auto') + 1) % order.length];
+            if (next === 'auto') delete appState.columnAlign[field];
+            else appState.columnAlign[field] = next;
+            alignBtn.textContent = ALIGN_ICONS[next];
+            alignBtn.title = `정렬: ${ALIGN_LABELS[next]}`;
+            updatePreview();
+        });
+
         // 2. Drag Events
         chip.addEventListener('dragstart', handleDragStart);
         chip.addEventListener('dragenter', handleDragEnter);
@@ -280,8 +577,12 @@ function renderFieldList() {
 
         els.fieldList.appendChild(chip);
     });
+    renderCsvHeaderLabels();
 }
 
+const ALIGN_ICONS = { auto: 'A', left: 'L', right: 'R', center: 'C' };
+const ALIGN_LABELS = { auto: '자동 (숫자는 오른쪽)', left: '왼쪽', right: '오른쪽', center: '가운데' };
+
 // --- DnD Handlers ---
 let dragSrcEl = null;
 
@@ -371,89 +672,99 @@ function updateSelectedFieldsState() {
     appState.selectedFields = newSelected;
 }
 
+// For typed settings that only change the output
+const updatePreviewDebounced = debounce(updatePreview, 250);
+
 function updatePreview() {
+    // Every data or configuration edit ends up here, so this is where undo steps are taken
+    recordHistory();
     if (appState.originalData.length === 0) return;
 
-    const formattedData = generateOutput();
-    els.outputPreview.textContent = formattedData;
-}
-
-function generateOutput(format = 'txt') {
-    // 1. Filter and Reorder Data
-    const processed = appState.originalData.map(item => {
-        const filteredItem = {};
-        appState.selectedFields.forEach(key => {
-            // Handle missing keys gracefully
-            let val = item[key] !== undefined ? item[key] : '';
-
-            // Apply Mappings
-            if (appState.mappings && appState.mappings.length > 0) {
-                // Find rule. Convert to string for safe comparison
-                const rule = appState.mappings.find(r => r.field === key && String(r.from).trim() === String(val).trim());
-                if (rule) {
-                    if (rule.type === 'remove') {
-                        val = null; // Mark for removal
-                    } else {
-                        val = rule.to;
-                    }
-                }
-            }
+    appState.derivedErrors = {};
+    appState.coercionErrors = {};
+    // A result still on its way was computed for the previous state
+    analysisRequestId++;
+    // Filtered and sorted once per edit, for both the preview and the row count. Grouping goes
+    // over every row, so for large data the analysis worker groups and previews instead.
+    const records = getOutputRecords();
+    if (isGroupingActive() && appState.originalData.length > PREVIEW_SAMPLE_ROWS) {
+        updateRowCountStatus(records.length, null);
+    } else {
+        // Large results are previewed from a sample; copy and download produce everything
+        els.outputPreview.textContent = formatPreview(records);
+        updateRowCountStatus(records.length, getOutputRowCount(records));
+    }
+    renderDerivedList();
+    renderFilenamePreview();
+    refreshDataChecksDebounced();
+}
 
-            // Store (nulls will be filtered in generateOutput)
-            filteredItem[key] = val;
-        });
-        return filteredItem;
-    });
-
-    // 2. Format
-    if (format === 'json') {
-        return JSON.stringify(processed, null, 2);
-    }
-    else if (format === 'csv') {
-        // Header
-        let csv = appState.selectedFields.join(',') + '\n';
-        // Rows
-        csv += processed.map(item => {
-            return appState.selectedFields.map(key => {
-                let val = String(item[key]);
-                // Escape quotes
-                if (val.includes(',') || val.includes('"') || val.includes('\n')) {
-                    val = `"${val.replace(/"/g, '""')}"`;
-                }
-                return val;
-            }).join(',');
-        }).join('\n');
-        return csv;
-    }
-    else {
-        // TXT (Custom)
-        // If tab is used, ignore field spacing option.
-        const separator = appState.options.useTab ? '\t' : ' '.repeat(appState.options.fieldSpacing);
-
-        if (appState.options.singleLine) {
-            // All props in one line? No, requirement says:
-            // "JSON results" -> "Value Value Value"
-            return processed.map(item => {
-                return Object.values(item).join(separator);
-            }).join(' '); // Single line for WHOLE output? Or single line per item?
-            // "Single Line" usually means one item per line vs pretty printed.
-            // Let's assume standard is One Item Per Line.
-            // If user checks "Single Line", maybe join everything?
-            // Actually usually "Single Line" in JSON context means Minified.
-            // But here for TXT, let's assume it means remove newlines between items.
-            // Re-reading PRD: "띄어쓰기·엔터 규칙을 복수 조합"
-            // Let's stick to "One line per item" as default.
-        }
+function formatPreview(records) {
+    // records come from getOutputRecords, already filtered and sorted
+    let text = '';
+    for (const chunk of iterateOutput(records, appState, 'txt', { limit: PREVIEW_SAMPLE_ROWS, selected: true })) {
+        text += chunk;
+    }
+    return text;
+}
+
+function updateRowCountStatus(shown, outputRows) {
+    // outputRows is null while the analysis worker is still grouping
+    const total = appState.originalData.length;
+    let text = shown === total ? `${total} rows` : `${shown} of ${total} rows`;
+    if (isGroupingActive()) {
+        text = outputRows === null ? `그룹 계산 중 · ${text}` : `${outputRows} groups · ${text}`;
+    }
+    if (outputRows > PREVIEW_SAMPLE_ROWS) {
+        text += ` · 미리보기 ${PREVIEW_SAMPLE_ROWS}행`;
+    }
+    els.rowCountStatus.textContent = text;
+    els.rowCountStatus.classList.toggle('filtered', shown !== total);
+}
+
+function generateOutput(format = 'txt', limit = Infinity) {
+    return formatOutput(appState.originalData, appState, format, limit);
+}
+
+function produceOutputBlob(format, mime) {
+    // Downloads are built from chunked Blob parts; large datasets in the worker with progress.
+    // Resolves to { blob, unencodable } (characters the chosen encoding couldn't write).
+    const buildInline = () => {
+        const blob = new Blob([...iterateOutput(appState.originalData, appState, format, { encode: true })], { type: mime });
+        return { blob, unencodable: appState.unencodableChars };
+    };
+    if (appState.originalData.length <= PREVIEW_SAMPLE_ROWS) {
+        return Promise.resolve(buildInline());
+    }
+    return runWorkerTask(
+        { type: 'export', records: appState.originalData, config: getTransformConfig(), format, mime },
+        buildInline
+    );
+}
 
-        const indent = ' '.repeat(appState.options.startIndent);
-        return processed.map(item => {
-            // Filter out nulls
-            const values = appState.selectedFields
-                .map(key => item[key]) // Always follow selectedFields order
-                .filter(v => v !== null && v !== "");
-            return indent + values.join(separator);
-        }).join('\n');
+function produceOutput(format) {
+    // Small datasets are formatted inline; large ones in the worker so the page stays responsive
+    if (appState.originalData.length <= PREVIEW_SAMPLE_ROWS) {
+        return Promise.resolve(generateOutput(format));
     }
+    return runWorkerTask(
+        { type: 'format', records: appState.originalData, config: getTransformConfig(), format },
+        () => generateOutput(format)
+    );
+}
+
+function getOutputIndices() {
+    // Indices into originalData of the filtered, sorted rows
+    return selectOutputIndices(appState.originalData);
+}
+
+function getOutputRecords() {
+    return selectOutputRecords(appState.originalData);
+}
+
+function getOutputRowCount(records = getOutputRecords()) {
+    // Rows the output will have: filtered records, or groups in group-by mode
+    return isGroupingActive() ? groupRecords(records, appState.groupBy).length : records.length;
 }
 
 // --- Utils ---
@@ -470,13 +781,25 @@ function debounce(func, wait) {
     };
 }
 
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(str) {
+    return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 function copyToClipboard() {
-    const text = els.outputPreview.textContent;
-    if (!text || text.startsWith('//')) return;
+    if (appState.originalData.length === 0) return;
 
-    navigator.clipboard.writeText(text).then(() => {
+    produceOutput('txt').then(text => navigator.clipboard.writeText(text)).then(() => {
         showToast('클립보드에 복사되었습니다.');
     }).catch(err => {
+        if (err.cancelled) return;
         console.error('Copy failed', err);
         showToast('복사에 실패했습니다.');
     });
@@ -528,8 +851,8 @@ function toggleTableView() {
     appState.tableViewVisible = !appState.tableViewVisible;
 
     if (appState.tableViewVisible) {
-        renderTableView();
         els.tableViewContainer.classList.remove('hidden');
+        renderTableView();
         els.toggleTableViewBtn.innerHTML = `
             <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
@@ -558,29 +881,34 @@ function renderTableView() {
     }
 
     // Build table header with editable field names
-    let html = '<thead><tr>';
+    let head = '<thead><tr>';
     appState.fields.forEach((field, index) => {
         const colorClass = `rainbow-${appState.fieldColors[field]}`;
-        html += `<th class="${colorClass}" contenteditable="true" data-field-index="${index}">${field}</th>`;
+        // Derived (computed) columns are read-only
+        const editable = isDerivedField(field) ? 'class="derived-cell"' : 'contenteditable="true"';
+        head += `<th class="${colorClass}" ${editable} data-field-index="${index}">${escapeHtml(field)}</th>`;
     });
-    html += '</tr></thead><tbody>';
+    head += '</tr></thead>';
 
-    // Build table rows with editable cells
-    appState.originalData.forEach((item, rowIndex) => {
-        html += '<tr>';
-        appState.fields.forEach((field, colIndex) => {
-            const value = item[field] !== undefined ? item[field] : '';
+    // Rows with editable cells in output order (filtered and sorted, data-row keeps the
+    // index into originalData). Only the rows in view are in the DOM.
+    renderVirtualTable(els.dataTable, els.tableViewContainer, head, getOutputIndices(), (rowIndex) => {
+        const item = appState.originalData[rowIndex];
+        let html = `<tr${getRowMarkAttrs(rowIndex)}>`;
+        appState.fields.forEach((field) => {
+            const value = getCellText(item, field);
             const colorClass = `rainbow-${appState.fieldColors[field]}`;
-            html += `<td class="${colorClass}" contenteditable="true" data-row="${rowIndex}" data-field="${field}">${value}</td>`;
+            const editable = isDerivedField(field) ? '' : 'contenteditable="true"';
+            const marks = getCellMarks(field, rowIndex);
+            html += `<td class="${colorClass}${editable ? '' : ' derived-cell'}${marks.classes}" ${editable}${marks.title} data-row="${rowIndex}" data-field="${escapeHtml(field)}">${escapeHtml(value)}</td>`;
         });
-        html += '</tr>';
-    });
-
-    html += '</tbody>';
-    els.dataTable.innerHTML = html;
+        return html + '</tr>';
+    }, appState.fields.length);
+}
 
-    // Add event listeners for editing
-    attachTableEditListeners();
+function getCellText(item, field) {
+    const value = getFieldValue(item, field);
+    return value !== undefined ? stringifyValue(value, appState.options.arraySeparator) : '';
 }
 
 function toggleColorCoding() {
@@ -641,8 +969,8 @@ function updateColorCodedOverlay() {
 
     try {
         const parsed = JSON.parse(text);
-        if (!Array.isArray(parsed)) {
-            els.highlightOverlay.textContent = text; // If not an array, just show plain text
+        if (parsed === null || typeof parsed !== 'object') {
+            els.highlightOverlay.textContent = text; // If not an array or object, just show plain text
             return;
         }
 
@@ -658,7 +986,10 @@ function updateColorCodedOverlay() {
             // This is a simplified regex approach
             // It tries to match a field name and then capture its value,
             // handling various JSON value types (strings, numbers, booleans, null, arrays, objects)
-            const fieldPattern = new RegExp(`("${field}"\\s*:\\s*)((".*?(?<!\\\\)")|([\\d.-]+)|(true|false|null)|(\\[.*?\\])|(\\{.*?\\}))`, 'gs');
+            const segments = parsePath(field);
+            const leafKey = segments[segments.length - 1];
+            if (typeof leafKey === 'number') return; // Array elements have no key to match
+            const fieldPattern = new RegExp(`("${escapeRegExp(leafKey)}"\\s*:\\s*)((".*?(?<!\\\\)")|([\\d.-]+)|(true|false|null)|(\\[.*?\\])|(\\{.*?\\}))`, 'gs');
 
             coloredHTML = coloredHTML.replace(fieldPattern, (match, p1, p2) => {
                 // p1 is the "field": part, p2 is the value part
@@ -679,28 +1010,16 @@ function syncOverlayScroll() {
 }
 
 function attachTableEditListeners() {
-    // Listen for cell value changes
-    const cells = els.dataTable.querySelectorAll('td[contenteditable]');
-    cells.forEach(cell => {
-        cell.addEventListener('blur', handleCellEdit);
-        cell.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                cell.blur();
-            }
-        });
+    // Delegated once, since rows are re-rendered while scrolling (blur doesn't bubble, focusout does)
+    els.dataTable.addEventListener('focusout', (e) => {
+        if (e.target.matches('td[contenteditable]')) handleCellEdit(e);
+        else if (e.target.matches('th[contenteditable]')) handleHeaderEdit(e);
     });
-
-    // Listen for header (field name) changes
-    const headers = els.dataTable.querySelectorAll('th[contenteditable]');
-    headers.forEach(header => {
-        header.addEventListener('blur', handleHeaderEdit);
-        header.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                header.blur();
-            }
-        });
+    els.dataTable.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || !e.target.matches('[contenteditable]')) return;
+        if (e.target.tagName === 'TD' && e.shiftKey) return;
+        e.preventDefault();
+        e.target.blur();
     });
 }
 
@@ -712,19 +1031,8 @@ function handleCellEdit(e) {
 
     // Update original data
     if (appState.originalData[rowIndex]) {
-        // Try to parse as number if it looks like one
-        let parsedValue = newValue;
-        if (!isNaN(newValue) && newValue !== '') {
-            parsedValue = parseFloat(newValue);
-        } else if (newValue === 'true') {
-            parsedValue = true;
-        } else if (newValue === 'false') {
-            parsedValue = false;
-        } else if (newValue === 'null') {
-            parsedValue = null;
-        }
-
-        appState.originalData[rowIndex][field] = parsedValue;
+        prepareDataEdit();
+        setPath(appState.originalData[rowIndex], field, parseCellValue(newValue, field));
 
         // Sync back to input textarea
         syncDataToInput();
@@ -750,12 +1058,19 @@ function handleHeaderEdit(e) {
         header.textContent = oldFieldName;
         return;
     }
+    if (!isSafePath(newFieldName)) {
+        showToast('__proto__, constructor, prototype은 필드명에 쓸 수 없습니다.');
+        header.textContent = oldFieldName;
+        return;
+    }
 
+    prepareDataEdit();
     // Update field name in all data objects
     appState.originalData.forEach(item => {
-        if (item.hasOwnProperty(oldFieldName)) {
-            item[newFieldName] = item[oldFieldName];
-            delete item[oldFieldName];
+        if (hasPath(item, oldFieldName)) {
+            const value = getPath(item, oldFieldName);
+            deletePath(item, oldFieldName);
+            setPath(item, newFieldName, value);
         }
     });
 
@@ -774,14 +1089,8 @@ function handleHeaderEdit(e) {
         delete appState.fieldColors[oldFieldName];
     }
 
-    // Update mappings if they reference the old field
-    if (appState.mappings) {
-        appState.mappings.forEach(mapping => {
-            if (mapping.field === oldFieldName) {
-                mapping.field = newFieldName;
-            }
-        });
-    }
+    // Update mappings and filters if they reference the old field
+    renameFieldReferences(oldFieldName, newFieldName);
 
     // Sync back to input and update UI
     syncDataToInput();
@@ -791,9 +1100,96 @@ function handleHeaderEdit(e) {
     showToast(`필드명이 "${oldFieldName}"에서 "${newFieldName}"로 변경되었습니다.`);
 }
 
+function renameFieldReferences(oldFieldName, newFieldName) {
+    if (appState.mappings) {
+        appState.mappings.forEach(mapping => {
+            if (mapping.field === oldFieldName) {
+                mapping.field = newFieldName;
+            }
+        });
+    }
+    appState.rowFilter.groups.forEach(group => {
+        group.conditions.forEach(condition => {
+            if (condition.field === oldFieldName) condition.field = newFieldName;
+        });
+    });
+    appState.sortKeys.forEach(key => {
+        if (key.field === oldFieldName) key.field = newFieldName;
+    });
+    appState.groupBy.fields = appState.groupBy.fields.map(field => field === oldFieldName ? newFieldName : field);
+    appState.groupBy.aggregates.forEach(aggregate => {
+        if (aggregate.field === oldFieldName) aggregate.field = newFieldName;
+    });
+    if (appState.columnAlign[oldFieldName]) {
+        appState.columnAlign[newFieldName] = appState.columnAlign[oldFieldName];
+        delete appState.columnAlign[oldFieldName];
+    }
+    appState.derivedFields.forEach(derived => {
+        try {
+            derived.expr = renameExpressionField(derived.expr, oldFieldName, newFieldName);
+        } catch (err) {
+            // An expression that doesn't parse has no references to update
+        }
+    });
+    appState.options.lineTemplate = renameTemplateField(appState.options.lineTemplate, oldFieldName, newFieldName);
+    els.optLineTemplate.value = appState.options.lineTemplate;
+    [appState.fieldTypes, appState.fieldFormats, appState.csvOptions.headerLabels].forEach(perField => {
+        if (perField[oldFieldName]) {
+            perField[newFieldName] = perField[oldFieldName];
+            delete perField[oldFieldName];
+        }
+    });
+    if (formatPanelField === oldFieldName) openFieldFormatPanel(newFieldName);
+    renderMappingList();
+    renderFilterPanel();
+    renderSortPanel();
+    renderGroupPanel();
+    renderDerivedList();
+}
+
 function syncDataToInput() {
+    // Data was edited in place; the next history step snapshots it
+    editHistory.dataChanged = true;
+    dataVersion++;
+    // Line-based input stays line-based
+    if (appState.inputFormat === 'csv') {
+        els.jsonInput.value = serializeDelimited(appState.originalData, getSourceFields(),
+            appState.importDelimiter, appState.importHasHeader);
+        return;
+    }
+    if (appState.inputFormat === 'ndjson') {
+        els.jsonInput.value = appState.originalData.map(item => JSON.stringify(item)).join('\n');
+        if (appState.colorCodingEnabled) updateColorCodedOverlay();
+        return;
+    }
+    if (appState.inputFormat === 'concat') {
+        els.jsonInput.value = appState.originalData.map(item => JSON.stringify(item, null, 2)).join('\n');
+        if (appState.colorCodingEnabled) updateColorCodedOverlay();
+        return;
+    }
+
+    // Records selected by a plain path are the same array inside sourceRoot, so writing the
+    // root keeps the surrounding payload. Wildcard/wrapped selections are detached copies:
+    // fall back to writing the records themselves.
+    let target = appState.originalData;
+    if (appState.sourceRoot !== null && appState.recordPath !== '$') {
+        let attached = false;
+        try {
+            attached = selectJsonPath(appState.sourceRoot, appState.recordPath) === appState.originalData;
+        } catch (err) {
+            attached = false;
+        }
+        if (attached) {
+            target = appState.sourceRoot;
+        } else {
+            appState.sourceRoot = appState.originalData;
+            appState.recordPath = '$';
+            els.recordRootBar.classList.add('hidden');
+        }
+    }
+
     // Update the input textarea with the modified data
-    const jsonString = JSON.stringify(appState.originalData, null, 2);
+    const jsonString = JSON.stringify(target, null, 2);
     els.jsonInput.value = jsonString;
 
     // If color coding is enabled, update the overlay
@@ -804,6 +1200,7 @@ function syncDataToInput() {
 
 function showStatus(msg, isSuccess) {
     els.inputStatus.textContent = msg;
+    els.inputStatus.title = '';
     if (!isSuccess) {
         els.inputStatus.style.color = '#ff4d4d'; // Simple error color
     } else {
@@ -842,77 +1239,55 @@ function renderModalTable() {
     }
 
     // Build table header with editable field names and delete buttons
-    let html = '<thead><tr><th class="row-number">#</th>';
+    let head = '<thead><tr><th class="row-number">#</th>';
     appState.fields.forEach((field, index) => {
         const colorClass = `rainbow-${appState.fieldColors[field]}`;
-        html += `<th class="${colorClass}">
+        const headerAttrs = isDerivedField(field) ? 'class="derived-cell" title="계산 필드"' : 'contenteditable="true" class="editable-header"';
+        head += `<th class="${colorClass}">
             <div style="display: flex; justify-content: space-between; align-items: center; gap: 0.5rem;">
-                <span contenteditable="true" data-field-index="${index}" class="editable-header">${field}</span>
+                <span ${headerAttrs} data-field-index="${index}">${escapeHtml(field)}</span>
                 <button class="delete-col-btn" data-col-index="${index}">×</button>
             </div>
         </th>`;
     });
-    html += '</tr></thead><tbody>';
+    head += '</tr></thead>';
 
-    // Build table rows with editable cells and delete buttons
-    appState.originalData.forEach((item, rowIndex) => {
-        html += `<tr><td class="row-number">${rowIndex + 1}</td>`;
+    // Build table rows with editable cells and delete buttons (only the rows in view)
+    const rowIndices = appState.originalData.map((item, index) => index);
+    renderVirtualTable(els.modalDataTable, els.modalDataTable.parentElement, head, rowIndices, (rowIndex) => {
+        const item = appState.originalData[rowIndex];
+        let html = `<tr${getRowMarkAttrs(rowIndex)}><td class="row-number">${rowIndex + 1}</td>`;
         appState.fields.forEach((field) => {
-            const value = item[field] !== undefined ? item[field] : '';
+            const value = getCellText(item, field);
             const colorClass = `rainbow-${appState.fieldColors[field]}`;
-            html += `<td class="${colorClass}" contenteditable="true" data-row="${rowIndex}" data-field="${field}">${value}</td>`;
+            const editable = isDerivedField(field) ? '' : 'contenteditable="true"';
+            const marks = getCellMarks(field, rowIndex);
+            html += `<td class="${colorClass}${editable ? '' : ' derived-cell'}${marks.classes}" ${editable}${marks.title} data-row="${rowIndex}" data-field="${escapeHtml(field)}">${escapeHtml(value)}</td>`;
         });
-        html += `<td><button class="delete-row-btn" data-row-index="${rowIndex}">삭제</button></td></tr>`;
-    });
-
-    html += '</tbody>';
-    els.modalDataTable.innerHTML = html;
-
-    // Add event listeners
-    attachModalTableListeners();
+        return html + `<td><button class="delete-row-btn" data-row-index="${rowIndex}">삭제</button></td></tr>`;
+    }, appState.fields.length + 2);
 }
 
 function attachModalTableListeners() {
-    // Cell editing
-    const cells = els.modalDataTable.querySelectorAll('td[contenteditable]');
-    cells.forEach(cell => {
-        cell.addEventListener('blur', handleModalCellEdit);
-        cell.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                cell.blur();
-            }
-        });
-    });
-
-    // Header editing
-    const headers = els.modalDataTable.querySelectorAll('.editable-header');
-    headers.forEach(header => {
-        header.addEventListener('blur', handleModalHeaderEdit);
-        header.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                header.blur();
-            }
-        });
+    // Delegated once, since rows are re-rendered while scrolling
+    els.modalDataTable.addEventListener('focusout', (e) => {
+        if (e.target.matches('td[contenteditable]')) handleModalCellEdit(e);
+        else if (e.target.matches('.editable-header')) handleModalHeaderEdit(e);
     });
-
-    // Delete column buttons
-    const deleteColBtns = els.modalDataTable.querySelectorAll('.delete-col-btn');
-    deleteColBtns.forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const colIndex = parseInt(e.target.dataset.colIndex);
-            deleteColumn(colIndex);
-        });
+    els.modalDataTable.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || !e.target.matches('[contenteditable]')) return;
+        if (e.target.tagName === 'TD' && e.shiftKey) return;
+        e.preventDefault();
+        e.target.blur();
     });
 
-    // Delete row buttons
-    const deleteRowBtns = els.modalDataTable.querySelectorAll('.delete-row-btn');
-    deleteRowBtns.forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const rowIndex = parseInt(e.target.dataset.rowIndex);
-            deleteRow(rowIndex);
-        });
+    // Delete column / row buttons
+    els.modalDataTable.addEventListener('click', (e) => {
+        if (e.target.matches('.delete-col-btn')) {
+            deleteColumn(parseInt(e.target.dataset.colIndex));
+        } else if (e.target.matches('.delete-row-btn')) {
+            deleteRow(parseInt(e.target.dataset.rowIndex));
+        }
     });
 }
 
@@ -923,18 +1298,8 @@ function handleModalCellEdit(e) {
     const newValue = cell.textContent.trim();
 
     if (appState.originalData[rowIndex]) {
-        let parsedValue = newValue;
-        if (!isNaN(newValue) && newValue !== '') {
-            parsedValue = parseFloat(newValue);
-        } else if (newValue === 'true') {
-            parsedValue = true;
-        } else if (newValue === 'false') {
-            parsedValue = false;
-        } else if (newValue === 'null') {
-            parsedValue = null;
-        }
-
-        appState.originalData[rowIndex][field] = parsedValue;
+        prepareDataEdit();
+        setPath(appState.originalData[rowIndex], field, parseCellValue(newValue, field));
         syncDataToInput();
         updatePreview();
     }
@@ -956,12 +1321,19 @@ function handleModalHeaderEdit(e) {
         header.textContent = oldFieldName;
         return;
     }
+    if (!isSafePath(newFieldName)) {
+        showToast('__proto__, constructor, prototype은 필드명에 쓸 수 없습니다.');
+        header.textContent = oldFieldName;
+        return;
+    }
 
+    prepareDataEdit();
     // Update field name in all data objects
     appState.originalData.forEach(item => {
-        if (item.hasOwnProperty(oldFieldName)) {
-            item[newFieldName] = item[oldFieldName];
-            delete item[oldFieldName];
+        if (hasPath(item, oldFieldName)) {
+            const value = getPath(item, oldFieldName);
+            deletePath(item, oldFieldName);
+            setPath(item, newFieldName, value);
         }
     });
 
@@ -977,6 +1349,8 @@ function handleModalHeaderEdit(e) {
         delete appState.fieldColors[oldFieldName];
     }
 
+    renameFieldReferences(oldFieldName, newFieldName);
+
     syncDataToInput();
     renderFieldList();
     updateMappingSelect();
@@ -986,10 +1360,11 @@ function handleModalHeaderEdit(e) {
 
 function addRow() {
     const newRow = {};
-    appState.fields.forEach(field => {
-        newRow[field] = '';
+    getSourceFields().forEach(field => {
+        setPath(newRow, field, '');
     });
 
+    prepareDataEdit();
     appState.originalData.push(newRow);
     syncDataToInput();
     updatePreview();
@@ -1010,10 +1385,15 @@ function addColumn() {
         showToast('이미 존재하는 필드명입니다.');
         return;
     }
+    if (!isSafePath(trimmedName)) {
+        showToast('__proto__, constructor, prototype은 필드명에 쓸 수 없습니다.');
+        return;
+    }
 
+    prepareDataEdit();
     // Add new field to all data objects
     appState.originalData.forEach(item => {
-        item[trimmedName] = '';
+        setPath(item, trimmedName, '');
     });
 
     appState.fields.push(trimmedName);
@@ -1033,6 +1413,7 @@ function deleteRow(rowIndex) {
         return;
     }
 
+    prepareDataEdit();
     appState.originalData.splice(rowIndex, 1);
     syncDataToInput();
     updatePreview();
@@ -1047,9 +1428,16 @@ function deleteColumn(colIndex) {
         return;
     }
 
+    if (isDerivedField(fieldName)) {
+        removeDerivedField(fieldName);
+        renderModalTable();
+        return;
+    }
+
+    prepareDataEdit();
     // Remove field from all data objects
     appState.originalData.forEach(item => {
-        delete item[fieldName];
+        deletePath(item, fieldName);
     });
 
     appState.fields.splice(colIndex, 1);
@@ -1060,6 +1448,10 @@ function deleteColumn(colIndex) {
     }
 
     delete appState.fieldColors[fieldName];
+    delete appState.fieldTypes[fieldName];
+    delete appState.fieldFormats[fieldName];
+    delete appState.csvOptions.headerLabels[fieldName];
+    if (formatPanelField === fieldName) closeFieldFormatPanel();
 
     syncDataToInput();
     renderFieldList();
@@ -1072,26 +1464,39 @@ function deleteColumn(colIndex) {
 function downloadFile(type) {
     if (appState.originalData.length === 0) return;
 
-    let content = '';
-    let mime = 'text/plain';
+    const mimeTypes = {
+        json: 'application/json',
+        ndjson: 'application/x-ndjson',
+        csv: 'text/csv',
+        md: 'text/markdown',
+        html: 'text/html',
+        xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        xml: 'application/xml',
+        yaml: 'application/yaml',
+        sql: 'application/sql',
+        txt: 'text/plain'
+    };
+    const format = mimeTypes[type] ? type : 'txt';
+
+    appState.outputFormat = type;
+    highlightOutputFormat();
+    saveExportSettings();
 
-    if (type === 'json') {
-        content = generateOutput('json');
-        mime = 'application/json';
-    } else if (type === 'csv') {
-        content = generateOutput('csv');
-        mime = 'text/csv';
-    } else {
-        content = generateOutput('txt');
-    }
+    produceOutputBlob(format, mimeTypes[format]).then(({ blob, unencodable }) => {
+        saveBlob(blob, buildFilename(type));
+        if (unencodable > 0) {
+            showToast(`EUC-KR로 쓸 수 없는 문자 ${unencodable}개를 ?로 바꿨습니다.`);
+        }
+    }).catch(err => {
+        if (err.cancelled) return;
+        console.error('Export failed', err);
+        showToast('파일 생성에 실패했습니다.');
+    });
+}
 
-    const blob = new Blob([content], { type: mime });
+function saveBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
-
-    let filename = els.filenameInput.value.trim() || 'result';
-    if (!filename.endsWith('.' + type)) filename += '.' + type;
-
     a.href = url;
     a.download = filename;
     document.body.appendChild(a);
@@ -1100,25 +1505,33 @@ function downloadFile(type) {
     URL.revokeObjectURL(url);
 }
 
-// Initialize
-init();
-
 // --- Mapping Logic ---
 
 function setupMappingUI() {
     // Populate select
     els.mappingSelect = document.getElementById('mappingFieldSelect');
-    els.mappingFromSelect = document.getElementById('mappingFromSelect');
+    els.mappingOpSelect = document.getElementById('mappingOpSelect');
+    els.mappingFrom = document.getElementById('mappingFrom');
+    els.mappingFrom2 = document.getElementById('mappingFrom2');
+    els.mappingFromOptions = document.getElementById('mappingFromOptions');
+    els.mappingConditionRow = document.getElementById('mappingConditionRow');
     els.mappingTo = document.getElementById('mappingTo');
     els.mappingRemove = document.getElementById('mappingRemove');
     els.addMappingBtn = document.getElementById('addMappingBtn');
     els.mappingList = document.getElementById('mappingList');
 
+    els.mappingOpSelect.innerHTML = Object.entries(CONDITION_OPS)
+        .map(([op, label]) => `<option value="${op}">${label}</option>`)
+        .join('');
+
     els.addMappingBtn.addEventListener('click', addMappingRule);
 
-    // When field changes, populate value dropdown
+    // When field changes, populate value suggestions
     els.mappingSelect.addEventListener('change', updateMappingValueSelect);
 
+    // Show only the inputs the operator needs
+    els.mappingOpSelect.addEventListener('change', updateMappingInputs);
+
     // Toggle "To" input when Remove is checked
     els.mappingRemove.addEventListener('change', (e) => {
         if (e.target.checked) {
@@ -1127,11 +1540,27 @@ function setupMappingUI() {
             els.mappingTo.placeholder = "(삭제됨)";
         } else {
             els.mappingTo.disabled = false;
-            els.mappingTo.placeholder = "새 값 (예: 도시)";
+            updateMappingInputs();
         }
     });
 }
 
+function updateMappingInputs() {
+    const op = els.mappingOpSelect.value;
+    els.mappingConditionRow.classList.toggle('hidden', VALUELESS_OPS.includes(op));
+    els.mappingFrom2.classList.toggle('hidden', op !== 'between');
+
+    const placeholders = {
+        regex: '정규식 (예: ^(\\d+)호$ 또는 /abc/i)',
+        between: '최소값',
+        gt: '숫자', gte: '숫자', lt: '숫자', lte: '숫자'
+    };
+    els.mappingFrom.placeholder = placeholders[op] || '현재 값';
+    if (!els.mappingRemove.checked) {
+        els.mappingTo.placeholder = op === 'regex' ? '바꿀 값 ($1 = 그룹)' : '새 값 (예: 도시)';
+    }
+}
+
 function updateMappingSelect() {
     if (!els.mappingSelect) return;
 
@@ -1159,40 +1588,56 @@ function updateMappingSelect() {
 
 function updateMappingValueSelect() {
     const selectedField = els.mappingSelect.value;
-    if (!selectedField || !els.mappingFromSelect) return;
+    if (!selectedField || !els.mappingFromOptions) return;
 
     // Get unique values for this field
     const uniqueValues = new Set();
     appState.originalData.forEach(item => {
-        const val = item[selectedField];
+        const val = getFieldValue(item, selectedField);
         if (val !== undefined) { // Allow null and empty string, just not undefined (missing)
-            uniqueValues.add(String(val));
+            uniqueValues.add(stringifyValue(val, appState.options.arraySeparator));
         }
     });
 
-    // Populate dropdown
-    els.mappingFromSelect.innerHTML = '<option value="">값을 선택하세요</option>';
+    // Populate suggestions (free text is still allowed for pattern/range operators)
+    els.mappingFromOptions.innerHTML = '';
     Array.from(uniqueValues).sort().forEach(value => {
         const opt = document.createElement('option');
         opt.value = value;
-        opt.textContent = value;
-        els.mappingFromSelect.appendChild(opt);
+        els.mappingFromOptions.appendChild(opt);
     });
 }
 
 function addMappingRule() {
     const field = els.mappingSelect.value;
-    const fromVal = els.mappingFromSelect.value.trim();
+    const op = els.mappingOpSelect.value;
+    const needsValue = !VALUELESS_OPS.includes(op);
+    const fromVal = needsValue ? els.mappingFrom.value.trim() : '';
+    const fromVal2 = op === 'between' ? els.mappingFrom2.value.trim() : '';
     const isRemove = els.mappingRemove.checked;
     const toVal = isRemove ? null : els.mappingTo.value.trim();
 
-    if (!field || !fromVal) {
-        showToast('필드와 현재 값을 선택해주세요.');
+    if (!field || (needsValue && !fromVal) || (op === 'between' && !fromVal2)) {
+        showToast('필드와 조건 값을 입력해주세요.');
+        return;
+    }
+
+    if (op === 'regex') {
+        try {
+            compileRegex(fromVal);
+        } catch (err) {
+            showToast('잘못된 정규식입니다: ' + err.message);
+            return;
+        }
+    }
+    if (['gt', 'gte', 'lt', 'lte', 'between'].includes(op) && (isNaN(toNumber(fromVal)) || (op === 'between' && isNaN(toNumber(fromVal2))))) {
+        showToast('숫자 조건에는 숫자를 입력해주세요.');
         return;
     }
 
     // Check duplicate
-    const exists = appState.mappings && appState.mappings.some(r => r.field === field && r.from === fromVal);
+    const exists = appState.mappings && appState.mappings.some(r =>
+        r.field === field && (r.op || 'equals') === op && r.from === fromVal && (r.from2 || '') === fromVal2);
     if (exists) {
         showToast('이미 존재하는 규칙입니다.');
         return;
@@ -1202,17 +1647,20 @@ function addMappingRule() {
 
     appState.mappings.push({
         field,
+        op,
         from: fromVal,
+        from2: fromVal2,
         to: toVal,
         type: isRemove ? 'remove' : 'replace'
     });
 
     // Clear inputs
-    els.mappingFromSelect.value = '';
+    els.mappingFrom.value = '';
+    els.mappingFrom2.value = '';
     els.mappingTo.value = '';
     els.mappingRemove.checked = false;
     els.mappingTo.disabled = false;
-    els.mappingTo.placeholder = "새 값 (예: 도시)";
+    updateMappingInputs();
 
     renderMappingList();
     updatePreview();
@@ -1224,6 +1672,24 @@ function removeMappingRule(index) {
     updatePreview();
 }
 
+function moveMappingRule(index, delta) {
+    // Order matters: the first matching rule for a field wins
+    const target = index + delta;
+    if (target < 0 || target >= appState.mappings.length) return;
+    const [rule] = appState.mappings.splice(index, 1);
+    appState.mappings.splice(target, 0, rule);
+    renderMappingList();
+    updatePreview();
+}
+
+function describeCondition(rule) {
+    const op = rule.op || 'equals';
+    if (op === 'equals') return escapeHtml(rule.from);
+    if (VALUELESS_OPS.includes(op)) return CONDITION_OPS[op];
+    if (op === 'between') return `${escapeHtml(rule.from)} ~ ${escapeHtml(rule.from2)}`;
+    return `${CONDITION_OPS[op]} ${escapeHtml(rule.from)}`;
+}
+
 function renderMappingList() {
     els.mappingList.innerHTML = '';
     if (!appState.mappings || appState.mappings.length === 0) return;
@@ -1236,20 +1702,2063 @@ function renderMappingList() {
         if (rule.type === 'remove') {
             visualArrow = `<span class="mapping-tag removed">삭제</span>`;
         } else {
-            visualArrow = `<span class="mapping-arrow">➜</span><span class="mapping-val" title="${rule.to}">${rule.to}</span>`;
+            visualArrow = `<span class="mapping-arrow">➜</span><span class="mapping-val" title="${escapeHtml(rule.to)}">${escapeHtml(rule.to)}</span>`;
         }
 
+        const condition = describeCondition(rule);
         item.innerHTML = `
             <div class="mapping-info">
-                <span class="mapping-tag">${rule.field}</span>
-                <span class="mapping-val" title="${rule.from}">${rule.from}</span>
+                <span class="mapping-tag">${escapeHtml(rule.field)}</span>
+                <span class="mapping-val" title="${condition}">${condition}</span>
                 ${visualArrow}
             </div>
-            <button class="remove-btn" onclick="removeMappingRule(${idx})">×</button>
+            <div class="mapping-actions">
+                <button class="order-btn" title="위로">▲</button>
+                <button class="order-btn" title="아래로">▼</button>
+                <button class="remove-btn">×</button>
+            </div>
         `;
         // Attach event listener via JS
+        const [upBtn, downBtn] = item.querySelectorAll('.order-btn');
+        upBtn.onclick = () => moveMappingRule(idx, -1);
+        downBtn.onclick = () => moveMappingRule(idx, 1);
         item.querySelector('.remove-btn').onclick = () => removeMappingRule(idx);
 
         els.mappingList.appendChild(item);
     });
 }
+
+// --- Derived Field Logic ---
+
+function setupDerivedFieldUI() {
+    els.derivedName = document.getElementById('derivedName');
+    els.derivedExpr = document.getElementById('derivedExpr');
+    els.addDerivedBtn = document.getElementById('addDerivedBtn');
+    els.derivedList = document.getElementById('derivedList');
+
+    els.addDerivedBtn.addEventListener('click', addDerivedField);
+    els.derivedExpr.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addDerivedField();
+        }
+    });
+}
+
+function addDerivedField() {
+    const name = els.derivedName.value.trim();
+    const expr = els.derivedExpr.value.trim();
+
+    if (!name || !expr) {
+        showToast('필드명과 계산식을 입력해주세요.');
+        return;
+    }
+    if (appState.fields.includes(name) || isDerivedField(name)) {
+        showToast('이미 존재하는 필드명입니다.');
+        return;
+    }
+    try {
+        parseExpression(expr);
+    } catch (err) {
+        showToast('계산식 오류: ' + err.message);
+        return;
+    }
+
+    appState.derivedFields.push({ name, expr });
+    if (appState.originalData.length > 0) {
+        appState.fields.push(name);
+        appState.selectedFields.push(name);
+        appState.fieldColors[name] = appState.fields.length % 8;
+    }
+
+    els.derivedName.value = '';
+    els.derivedExpr.value = '';
+
+    renderFieldList();
+    updateMappingSelect();
+    renderFilterPanel();
+    renderSortPanel();
+    renderGroupPanel();
+    updatePreview();
+    renderDerivedList();
+    if (appState.tableViewVisible) renderTableView();
+}
+
+function removeDerivedField(name) {
+    appState.derivedFields = appState.derivedFields.filter(d => d.name !== name);
+    appState.fields = appState.fields.filter(f => f !== name);
+    appState.selectedFields = appState.selectedFields.filter(f => f !== name);
+    delete appState.fieldColors[name];
+    delete appState.derivedErrors[name];
+    delete appState.fieldTypes[name];
+    delete appState.fieldFormats[name];
+    delete appState.csvOptions.headerLabels[name];
+    if (formatPanelField === name) closeFieldFormatPanel();
+
+    renderFieldList();
+    updateMappingSelect();
+    renderFilterPanel();
+    renderSortPanel();
+    renderGroupPanel();
+    updatePreview();
+    renderDerivedList();
+    if (appState.tableViewVisible) renderTableView();
+}
+
+function renderDerivedList() {
+    if (!els.derivedList) return;
+    els.derivedList.innerHTML = '';
+
+    appState.derivedFields.forEach(derived => {
+        const item = document.createElement('div');
+        item.className = 'mapping-item';
+
+        const error = appState.derivedErrors[derived.name];
+        item.innerHTML = `
+            <div class="mapping-info">
+                <span class="mapping-tag">${escapeHtml(derived.name)}</span>
+                <span class="mapping-arrow">=</span>
+                <span class="mapping-val derived-expr" title="${escapeHtml(derived.expr)}">${escapeHtml(derived.expr)}</span>
+                ${error ? `<span class="mapping-tag removed" title="${escapeHtml(error)}">오류</span>` : ''}
+            </div>
+            <button class="remove-btn">×</button>
+        `;
+        item.querySelector('.remove-btn').onclick = () => removeDerivedField(derived.name);
+
+        els.derivedList.appendChild(item);
+    });
+}
+
+// --- Row Filter Logic ---
+
+function setupRowFilterUI() {
+    els.filterLogic = document.getElementById('filterLogic');
+    els.filterGroups = document.getElementById('filterGroups');
+    els.addFilterGroupBtn = document.getElementById('addFilterGroupBtn');
+    els.clearFilterBtn = document.getElementById('clearFilterBtn');
+
+    els.filterLogic.addEventListener('change', (e) => {
+        appState.rowFilter.logic = e.target.value;
+        applyRowFilterChange();
+    });
+    els.addFilterGroupBtn.addEventListener('click', () => {
+        appState.rowFilter.groups.push({ logic: 'and', conditions: [createFilterCondition()] });
+        renderFilterPanel();
+    });
+    els.clearFilterBtn.addEventListener('click', () => {
+        appState.rowFilter.groups = [];
+        renderFilterPanel();
+        applyRowFilterChange();
+    });
+}
+
+function createFilterCondition() {
+    return { field: appState.fields[0] || '', op: 'equals', value: '', value2: '' };
+}
+
+const applyRowFilterChangeDebounced = debounce(applyRowFilterChange, 250);
+
+function applyRowFilterChange() {
+    updatePreview();
+    if (appState.tableViewVisible) renderTableView();
+}
+
+function renderFilterPanel() {
+    if (!els.filterGroups) return;
+    els.filterGroups.innerHTML = '';
+    els.filterLogic.value = appState.rowFilter.logic;
+    els.filterLogic.parentElement.classList.toggle('hidden', appState.rowFilter.groups.length < 2);
+
+    const fieldOptions = (selected) => appState.fields
+        .map(f => `<option value="${escapeHtml(f)}" ${f === selected ? 'selected' : ''}>${escapeHtml(f)}</option>`)
+        .join('');
+    const opOptions = (selected) => Object.entries(FILTER_OPS)
+        .map(([op, label]) => `<option value="${op}" ${op === selected ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
+    appState.rowFilter.groups.forEach((group, groupIndex) => {
+        const groupEl = document.createElement('div');
+        groupEl.className = 'filter-group';
+        groupEl.innerHTML = `
+            <div class="filter-group-header">
+                <select class="glass-input filter-group-logic" title="그룹 안 조건 결합">
+                    <option value="and" ${group.logic === 'and' ? 'selected' : ''}>모두 만족 (AND)</option>
+                    <option value="or" ${group.logic === 'or' ? 'selected' : ''}>하나 이상 (OR)</option>
+                </select>
+                <button class="remove-btn" title="그룹 삭제">×</button>
+            </div>
+        `;
+        groupEl.querySelector('.filter-group-logic').addEventListener('change', (e) => {
+            group.logic = e.target.value;
+            applyRowFilterChange();
+        });
+        groupEl.querySelector('.filter-group-header .remove-btn').addEventListener('click', () => {
+            appState.rowFilter.groups.splice(groupIndex, 1);
+            renderFilterPanel();
+            applyRowFilterChange();
+        });
+
+        group.conditions.forEach((condition, conditionIndex) => {
+            const row = document.createElement('div');
+            row.className = 'filter-condition';
+            const needsValue = !VALUELESS_OPS.includes(condition.op);
+            row.innerHTML = `
+                <div class="mapping-values">
+                    <select class="glass-input filter-field">${fieldOptions(condition.field)}</select>
+                    <button class="remove-btn" title="조건 삭제">×</button>
+                </div>
+                <select class="glass-input filter-op">${opOptions(condition.op)}</select>
+                <div class="mapping-values ${needsValue ? '' : 'hidden'}">
+                    <input type="text" class="glass-input filter-value" value="${escapeHtml(condition.value)}" placeholder="값">
+                    <input type="text" class="glass-input filter-value2 ${condition.op === 'between' ? '' : 'hidden'}" value="${escapeHtml(condition.value2)}" placeholder="최대값">
+                </div>
+            `;
+
+            row.querySelector('.filter-field').addEventListener('change', (e) => {
+                condition.field = e.target.value;
+                applyRowFilterChange();
+            });
+            row.querySelector('.filter-op').addEventListener('change', (e) => {
+                condition.op = e.target.value;
+                renderFilterPanel();
+                applyRowFilterChange();
+            });
+            row.querySelector('.filter-value').addEventListener('input', (e) => {
+                condition.value = e.target.value;
+                e.target.classList.toggle('invalid', condition.op === 'regex' && !isActiveCondition(condition) && condition.value !== '');
+                applyRowFilterChangeDebounced();
+            });
+            row.querySelector('.filter-value2').addEventListener('input', (e) => {
+                condition.value2 = e.target.value;
+                applyRowFilterChangeDebounced();
+            });
+            row.querySelector('.remove-btn').addEventListener('click', () => {
+                group.conditions.splice(conditionIndex, 1);
+                if (group.conditions.length === 0) appState.rowFilter.groups.splice(groupIndex, 1);
+                renderFilterPanel();
+                applyRowFilterChange();
+            });
+
+            groupEl.appendChild(row);
+        });
+
+        const addConditionBtn = document.createElement('button');
+        addConditionBtn.className = 'glass-btn small-btn';
+        addConditionBtn.textContent = '+ 조건';
+        addConditionBtn.addEventListener('click', () => {
+            group.conditions.push(createFilterCondition());
+            renderFilterPanel();
+        });
+        groupEl.appendChild(addConditionBtn);
+
+        els.filterGroups.appendChild(groupEl);
+    });
+}
+
+// --- Sort UI ---
+
+function setupSortUI() {
+    els.sortKeyList = document.getElementById('sortKeyList');
+    els.addSortKeyBtn = document.getElementById('addSortKeyBtn');
+
+    els.addSortKeyBtn.addEventListener('click', () => {
+        appState.sortKeys.push({ field: appState.fields[0] || '', direction: 'asc', compare: 'auto', missing: 'last' });
+        renderSortPanel();
+        applyRowFilterChange();
+    });
+}
+
+function renderSortPanel() {
+    if (!els.sortKeyList) return;
+    els.sortKeyList.innerHTML = '';
+
+    const compareLabels = { auto: '자동', numeric: '숫자', string: '문자 (코드순)', locale: '한글 사전순' };
+
+    appState.sortKeys.forEach((key, index) => {
+        const row = document.createElement('div');
+        row.className = 'filter-condition';
+        row.innerHTML = `
+            <div class="mapping-values">
+                <span class="mapping-tag">${index + 1}</span>
+                <select class="glass-input sort-field">
+                    ${appState.fields.map(f => `<option value="${escapeHtml(f)}" ${f === key.field ? 'selected' : ''}>${escapeHtml(f)}</option>`).join('')}
+                </select>
+                <div class="mapping-actions">
+                    <button class="order-btn" title="위로">▲</button>
+                    <button class="order-btn" title="아래로">▼</button>
+                    <button class="remove-btn">×</button>
+                </div>
+            </div>
+            <div class="mapping-values">
+                <button class="glass-btn small-btn sort-direction">${key.direction === 'desc' ? '↓ 내림차순' : '↑ 오름차순'}</button>
+                <select class="glass-input sort-compare" title="비교 방식">
+                    ${Object.entries(compareLabels).map(([v, label]) => `<option value="${v}" ${v === key.compare ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <select class="glass-input sort-missing" title="빈 값 위치">
+                    <option value="last" ${key.missing !== 'first' ? 'selected' : ''}>빈 값 뒤</option>
+                    <option value="first" ${key.missing === 'first' ? 'selected' : ''}>빈 값 앞</option>
+                </select>
+            </div>
+        `;
+
+        row.querySelector('.sort-field').addEventListener('change', (e) => {
+            key.field = e.target.value;
+            applyRowFilterChange();
+        });
+        row.querySelector('.sort-direction').addEventListener('click', () => {
+            key.direction = key.direction === 'desc' ? 'asc' : 'desc';
+            renderSortPanel();
+            applyRowFilterChange();
+        });
+        row.querySelector('.sort-compare').addEventListener('change', (e) => {
+            key.compare = e.target.value;
+            applyRowFilterChange();
+        });
+        row.querySelector('.sort-missing').addEventListener('change', (e) => {
+            key.missing = e.target.value;
+            applyRowFilterChange();
+        });
+
+        const [upBtn, downBtn] = row.querySelectorAll('.order-btn');
+        const move = (delta) => {
+            const target = index + delta;
+            if (target < 0 || target >= appState.sortKeys.length) return;
+            appState.sortKeys.splice(target, 0, appState.sortKeys.splice(index, 1)[0]);
+            renderSortPanel();
+            applyRowFilterChange();
+        };
+        upBtn.addEventListener('click', () => move(-1));
+        downBtn.addEventListener('click', () => move(1));
+        row.querySelector('.remove-btn').addEventListener('click', () => {
+            appState.sortKeys.splice(index, 1);
+            renderSortPanel();
+            applyRowFilterChange();
+        });
+
+        els.sortKeyList.appendChild(row);
+    });
+}
+
+// --- Group By UI ---
+
+function setupGroupByUI() {
+    els.groupByEnabled = document.getElementById('groupByEnabled');
+    els.groupFieldList = document.getElementById('groupFieldList');
+    els.aggregateList = document.getElementById('aggregateList');
+    els.addGroupFieldBtn = document.getElementById('addGroupFieldBtn');
+    els.addAggregateBtn = document.getElementById('addAggregateBtn');
+
+    els.groupByEnabled.addEventListener('change', (e) => {
+        appState.groupBy.enabled = e.target.checked;
+        // Start with the first field and a row count so the toggle shows something right away
+        if (appState.groupBy.enabled && appState.groupBy.fields.length === 0 && appState.fields.length) {
+            appState.groupBy.fields.push(appState.fields[0]);
+            if (appState.groupBy.aggregates.length === 0) {
+                appState.groupBy.aggregates.push({ op: 'count', field: '', as: '' });
+            }
+        }
+        renderGroupPanel();
+        updatePreview();
+    });
+    els.addGroupFieldBtn.addEventListener('click', () => {
+        appState.groupBy.fields.push(appState.fields[0] || '');
+        renderGroupPanel();
+        updatePreview();
+    });
+    els.addAggregateBtn.addEventListener('click', () => {
+        appState.groupBy.aggregates.push({ op: 'count', field: '', as: '' });
+        renderGroupPanel();
+        updatePreview();
+    });
+}
+
+function renderGroupPanel() {
+    if (!els.groupFieldList) return;
+    const groupBy = appState.groupBy;
+    els.groupByEnabled.checked = groupBy.enabled;
+    els.groupFieldList.innerHTML = '';
+    els.aggregateList.innerHTML = '';
+    els.groupFieldList.parentElement.classList.toggle('hidden', !groupBy.enabled);
+
+    const fieldOptions = (selected) => appState.fields
+        .map(f => `<option value="${escapeHtml(f)}" ${f === selected ? 'selected' : ''}>${escapeHtml(f)}</option>`)
+        .join('');
+
+    groupBy.fields.forEach((field, index) => {
+        const row = document.createElement('div');
+        row.className = 'mapping-values';
+        row.innerHTML = `
+            <select class="glass-input">${fieldOptions(field)}</select>
+            <button class="remove-btn">×</button>
+        `;
+        row.querySelector('select').addEventListener('change', (e) => {
+            groupBy.fields[index] = e.target.value;
+            updatePreview();
+        });
+        row.querySelector('.remove-btn').addEventListener('click', () => {
+            groupBy.fields.splice(index, 1);
+            renderGroupPanel();
+            updatePreview();
+        });
+        els.groupFieldList.appendChild(row);
+    });
+
+    groupBy.aggregates.forEach((aggregate, index) => {
+        const row = document.createElement('div');
+        row.className = 'filter-condition';
+        row.innerHTML = `
+            <div class="mapping-values">
+                <select class="glass-input aggregate-op">
+                    ${Object.entries(AGGREGATE_OPS).map(([op, label]) => `<option value="${op}" ${op === aggregate.op ? 'selected' : ''}>${label} (${op})</option>`).join('')}
+                </select>
+                <select class="glass-input aggregate-field">
+                    <option value="">${aggregate.op === 'count' ? '(전체 행)' : '(필드 선택)'}</option>
+                    ${fieldOptions(aggregate.field)}
+                </select>
+                <button class="remove-btn">×</button>
+            </div>
+            <input type="text" class="glass-input aggregate-as" placeholder="열 이름 (기본: ${escapeHtml(getAggregateName({ ...aggregate, as: '' }))})" value="${escapeHtml(aggregate.as || '')}">
+        `;
+        row.querySelector('.aggregate-op').addEventListener('change', (e) => {
+            aggregate.op = e.target.value;
+            renderGroupPanel();
+            updatePreview();
+        });
+        row.querySelector('.aggregate-field').addEventListener('change', (e) => {
+            aggregate.field = e.target.value;
+            renderGroupPanel();
+            updatePreview();
+        });
+        row.querySelector('.aggregate-as').addEventListener('input', (e) => {
+            aggregate.as = e.target.value;
+            updatePreviewDebounced();
+        });
+        row.querySelector('.remove-btn').addEventListener('click', () => {
+            groupBy.aggregates.splice(index, 1);
+            renderGroupPanel();
+            updatePreview();
+        });
+        els.aggregateList.appendChild(row);
+    });
+}
+
+// --- Join UI ---
+// A lookup dataset joined onto the loaded records; the joined rows become originalData
+
+const JOIN_MODE_LABELS = {
+    inner: '일치하는 행만 (Inner)',
+    left: '모든 데이터 행 (Left)',
+    full: '양쪽 모든 행 (Full Outer)'
+};
+
+function setupJoinUI() {
+    els.lookupInput = document.getElementById('lookupInput');
+    els.loadLookupBtn = document.getElementById('loadLookupBtn');
+    els.readLookupBtn = document.getElementById('readLookupBtn');
+    els.lookupFileInput = document.getElementById('lookupFileInput');
+    els.joinLeftKey = document.getElementById('joinLeftKey');
+    els.joinRightKey = document.getElementById('joinRightKey');
+    els.joinMode = document.getElementById('joinMode');
+    els.joinConflict = document.getElementById('joinConflict');
+    els.joinSuffix = document.getElementById('joinSuffix');
+    els.applyJoinBtn = document.getElementById('applyJoinBtn');
+    els.undoJoinBtn = document.getElementById('undoJoinBtn');
+    els.joinSummary = document.getElementById('joinSummary');
+
+    els.joinMode.innerHTML = Object.entries(JOIN_MODE_LABELS)
+        .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+        .join('');
+
+    els.loadLookupBtn.addEventListener('click', () => els.lookupFileInput.click());
+    els.lookupFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            readFileText(file).then(text => {
+                els.lookupInput.value = text;
+                readLookupInput();
+            });
+        }
+        e.target.value = '';
+    });
+    els.readLookupBtn.addEventListener('click', readLookupInput);
+
+    const bind = (el, event, key) => el.addEventListener(event, (e) => {
+        appState.joinOptions[key] = e.target.value;
+        els.joinSuffix.disabled = appState.joinOptions.conflict !== 'rename';
+    });
+    bind(els.joinLeftKey, 'change', 'leftKey');
+    bind(els.joinRightKey, 'change', 'rightKey');
+    bind(els.joinMode, 'change', 'mode');
+    bind(els.joinConflict, 'change', 'conflict');
+    bind(els.joinSuffix, 'input', 'suffix');
+    els.applyJoinBtn.addEventListener('click', applyJoin);
+    els.undoJoinBtn.addEventListener('click', undoJoin);
+    renderJoinControls();
+}
+
+function readLookupInput() {
+    const text = els.lookupInput.value.trim();
+    appState.lookupRecords = [];
+    if (text) {
+        try {
+            const result = readInputRecords(text, appState.importOptions);
+            appState.lookupRecords = result.records;
+            if (result.records.length === 0) showToast(`조회 데이터 ${result.path}에 레코드가 없습니다.`);
+        } catch (err) {
+            showToast('조회 데이터를 읽지 못했습니다: ' + err.message);
+        }
+    }
+    renderJoinControls();
+}
+
+function renderJoinControls() {
+    if (!els.joinLeftKey) return;
+    const o = appState.joinOptions;
+    const baseRecords = appState.joinBase || appState.originalData;
+    const leftFields = collectFields(baseRecords, appState.options.arrayMode, []);
+    const rightFields = collectFields(appState.lookupRecords, appState.options.arrayMode, []);
+
+    // Keep chosen keys that still exist; otherwise prefer a field both sides share (e.g. "id")
+    const shared = leftFields.find(f => rightFields.includes(f));
+    if (!leftFields.includes(o.leftKey)) o.leftKey = shared || leftFields[0] || '';
+    if (!rightFields.includes(o.rightKey)) {
+        o.rightKey = rightFields.includes(o.leftKey) ? o.leftKey : (shared || rightFields[0] || '');
+    }
+
+    const options = fields => fields
+        .map(f => `<option value="${escapeHtml(f)}">${escapeHtml(f)}</option>`)
+        .join('');
+    els.joinLeftKey.innerHTML = options(leftFields);
+    els.joinRightKey.innerHTML = options(rightFields);
+    els.joinLeftKey.value = o.leftKey;
+    els.joinRightKey.value = o.rightKey;
+    els.joinMode.value = o.mode;
+    els.joinConflict.value = o.conflict;
+    els.joinSuffix.value = o.suffix;
+    els.joinSuffix.disabled = o.conflict !== 'rename';
+    els.applyJoinBtn.disabled = leftFields.length === 0 || rightFields.length === 0;
+    els.undoJoinBtn.disabled = appState.joinBase === null;
+
+    if (appState.joinBase === null) {
+        els.joinSummary.textContent = appState.lookupRecords.length > 0
+            ? `조회 데이터 ${appState.lookupRecords.length}행을 읽었습니다.`
+            : '조회 데이터가 없습니다.';
+    }
+}
+
+function applyJoin() {
+    // Re-joining starts again from the records before the previous join
+    const base = appState.joinBase || appState.originalData;
+    if (base.length === 0 || appState.lookupRecords.length === 0) return;
+
+    const { records, stats } = joinRecords(base, appState.lookupRecords, appState.joinOptions);
+    if (records.length === 0) {
+        showToast('키가 일치하는 행이 없습니다.');
+        return;
+    }
+    loadRecords(records);
+    appState.joinBase = base;
+    renderJoinControls();
+
+    const lookupOnly = appState.joinOptions.mode === 'full' ? ` · 조회 데이터에만 있음 ${stats.lookupOnly}` : '';
+    els.joinSummary.textContent = `결합 결과 ${records.length}행 · 일치 ${stats.matched} · 일치 없음 ${stats.unmatched}${lookupOnly}`;
+    showToast(`조회 데이터를 결합했습니다 (${records.length}행).`);
+}
+
+function undoJoin() {
+    if (appState.joinBase === null) return;
+    loadRecords(appState.joinBase);
+    showToast('결합을 해제했습니다.');
+}
+
+// --- Batch UI ---
+// Several files at once: merged into one dataset to edit and export, or transformed one by one into a ZIP
+
+function setupBatchUI() {
+    els.openFilesBtn = document.getElementById('openFilesBtn');
+    els.fileInput = document.getElementById('fileInput');
+    els.batchBar = document.getElementById('batchBar');
+    els.batchFileList = document.getElementById('batchFileList');
+    els.batchSourceColumn = document.getElementById('batchSourceColumn');
+    els.batchFormat = document.getElementById('batchFormat');
+    els.batchZipBtn = document.getElementById('batchZipBtn');
+
+    els.batchFormat.innerHTML = OUTPUT_FORMATS
+        .map(format => `<option value="${format}">.${format.toUpperCase()}</option>`)
+        .join('');
+
+    els.openFilesBtn.addEventListener('click', () => els.fileInput.click());
+    els.fileInput.addEventListener('change', (e) => {
+        openFiles([...e.target.files]);
+        e.target.value = ''; // Choosing the same files again still fires change
+    });
+    els.batchSourceColumn.addEventListener('change', (e) => {
+        appState.batchSourceColumn = e.target.checked;
+        mergeBatchFiles();
+    });
+    els.batchZipBtn.addEventListener('click', downloadBatchZip);
+}
+
+function openFiles(files) {
+    const supported = files.filter(isSupportedFile);
+    if (supported.length === 0) {
+        showToast('JSON / NDJSON / CSV / TSV 파일만 업로드 가능합니다.');
+        return;
+    }
+    if (supported.length < files.length) {
+        showToast(`지원하지 않는 파일 ${files.length - supported.length}개는 건너뜁니다.`);
+    }
+    if (supported.length === 1) readFile(supported[0]);
+    else loadBatchFiles(supported);
+}
+
+function readFileText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error || new Error('read failed'));
+        reader.readAsText(file);
+    });
+}
+
+function loadBatchFiles(files) {
+    cancelWorkerTask();
+    showStatus(`Reading ${files.length} files...`, true);
+    const preferredPath = appState.recordPath;
+    Promise.all(files.map(file => readFileText(file).then(
+        text => parseBatchFile(file.name, text, preferredPath),
+        err => ({ name: file.name, records: [], status: 'error', message: err.message })
+    ))).then(results => {
+        appState.batchFiles = results.map(f => ({ ...f, base: f.name.replace(/\.[^.]+$/, '') }));
+        renderBatchFileList();
+        mergeBatchFiles();
+    });
+}
+
+function parseBatchFile(name, text, preferredPath) {
+    // Each file finds its own record array; a status per file instead of one for all
+    let result;
+    try {
+        result = readInputRecords(text, appState.importOptions, preferredPath);
+    } catch (err) {
+        return { name, records: [], status: 'error', message: err.message };
+    }
+    if (result.records.length === 0) {
+        return { name, records: [], status: 'error', message: `${result.path}에 레코드가 없습니다` };
+    }
+    const errors = result.errors.length;
+    return {
+        name,
+        records: result.records,
+        status: errors > 0 ? 'warning' : 'ok',
+        message: errors > 0 ? `${errors}개 줄 오류 (line ${result.errors[0].line}: ${result.errors[0].message})` : ''
+    };
+}
+
+function getBatchRecords(file) {
+    if (!appState.batchSourceColumn) return file.records;
+    return file.records.map(record => (record !== null && typeof record === 'object' && !Array.isArray(record))
+        ? { _source: file.name, ...record }
+        : record);
+}
+
+function mergeBatchFiles() {
+    // The merged records become the dataset; table edits apply to it, not to the files
+    const loaded = appState.batchFiles.filter(f => f.records.length > 0);
+    if (loaded.length === 0) {
+        showStatus(`No records in ${appState.batchFiles.length} files`, false);
+        return;
+    }
+
+    const merged = [];
+    loaded.forEach(file => {
+        getBatchRecords(file).forEach(record => merged.push(record));
+    });
+    appState.sourceName = loaded[0].base;
+    appState.sourceRoot = merged;
+    appState.recordPath = '$';
+    appState.inputFormat = 'json';
+    appState.parseErrors = [];
+    els.recordRootBar.classList.add('hidden');
+    els.csvImportBar.classList.add('hidden');
+    els.jsonInput.value = JSON.stringify(merged, null, 2);
+    loadRecords(merged);
+
+    const failed = appState.batchFiles.length - loaded.length;
+    showStatus(`Merged ${merged.length} items from ${loaded.length} files${failed > 0 ? `, ${failed} failed` : ''}`, failed === 0);
+}
+
+function clearBatchFiles() {
+    if (appState.batchFiles.length === 0) return;
+    appState.batchFiles = [];
+    renderBatchFileList();
+}
+
+function renderBatchFileList() {
+    els.batchBar.classList.toggle('hidden', appState.batchFiles.length === 0);
+    els.batchSourceColumn.checked = appState.batchSourceColumn;
+    els.batchFormat.value = appState.outputFormat;
+    els.batchFileList.innerHTML = '';
+    appState.batchFiles.forEach(file => {
+        const item = document.createElement('li');
+        item.className = `batch-file ${file.status}`;
+        const detail = file.status === 'error' ? file.message : `${file.records.length}행${file.message ? ' · ' + file.message : ''}`;
+        item.innerHTML = `
+            <span class="batch-file-name" title="${escapeHtml(file.name)}">${escapeHtml(file.name)}</span>
+            <span class="batch-file-status" title="${escapeHtml(detail)}">${escapeHtml(detail)}</span>
+        `;
+        els.batchFileList.appendChild(item);
+    });
+}
+
+function downloadBatchZip() {
+    const files = appState.batchFiles
+        .filter(f => f.records.length > 0)
+        .map(f => ({ name: f.base, records: getBatchRecords(f) }));
+    if (files.length === 0) return;
+
+    const format = els.batchFormat.value;
+    const config = getTransformConfig();
+    const buildInline = () => {
+        const transformConfig = createTransformConfig(config);
+        const blob = new Blob([...iterateOutputZip(files, transformConfig, format)], { type: 'application/zip' });
+        return { blob, unencodable: transformConfig.unencodableChars };
+    };
+    const total = files.reduce((sum, f) => sum + f.records.length, 0);
+    const task = total <= PREVIEW_SAMPLE_ROWS
+        ? Promise.resolve(buildInline())
+        : runWorkerTask({ type: 'zip', files, config, format }, buildInline);
+
+    task.then(({ blob, unencodable }) => {
+        saveBlob(blob, buildFilename('zip'));
+        showToast(unencodable > 0
+            ? `ZIP에 ${files.length}개 파일을 담았습니다. EUC-KR로 쓸 수 없는 문자 ${unencodable}개는 ?로 바꿨습니다.`
+            : `ZIP에 ${files.length}개 파일을 담았습니다.`);
+    }).catch(err => {
+        if (err.cancelled) return;
+        console.error('Batch export failed', err);
+        showToast('ZIP 생성에 실패했습니다.');
+    });
+}
+
+// --- CSV Export UI ---
+
+function setupCsvOptionsUI() {
+    els.csvDelimiter = document.getElementById('csvDelimiter');
+    els.csvQuote = document.getElementById('csvQuote');
+    els.csvLineEnding = document.getElementById('csvLineEnding');
+    els.csvNullValue = document.getElementById('csvNullValue');
+    els.csvBom = document.getElementById('csvBom');
+    els.csvHeader = document.getElementById('csvHeader');
+    els.csvFormulaGuard = document.getElementById('csvFormulaGuard');
+    els.csvHeaderLabels = document.getElementById('csvHeaderLabels');
+
+    const bind = (el, event, read) => el.addEventListener(event, (e) => {
+        read(e.target);
+        // CSV isn't previewed, but the change is an undo step; typed text is debounced
+        if (event === 'input') updatePreviewDebounced();
+        else updatePreview();
+    });
+    bind(els.csvDelimiter, 'change', el => { appState.csvOptions.delimiter = el.value; });
+    bind(els.csvQuote, 'change', el => { appState.csvOptions.quote = el.value; });
+    bind(els.csvLineEnding, 'change', el => { appState.csvOptions.lineEnding = el.value; });
+    bind(els.csvNullValue, 'input', el => { appState.csvOptions.nullValue = el.value; });
+    bind(els.csvBom, 'change', el => { appState.csvOptions.bom = el.checked; });
+    bind(els.csvHeader, 'change', el => {
+        appState.csvOptions.header = el.checked;
+        els.csvHeaderLabels.classList.toggle('hidden', !el.checked);
+    });
+    bind(els.csvFormulaGuard, 'change', el => { appState.csvOptions.formulaGuard = el.checked; });
+    syncCsvOptionControls();
+}
+
+function syncCsvOptionControls() {
+    const csv = appState.csvOptions;
+    els.csvDelimiter.value = csv.delimiter;
+    els.csvQuote.value = csv.quote;
+    els.csvLineEnding.value = csv.lineEnding;
+    els.csvNullValue.value = csv.nullValue;
+    els.csvBom.checked = csv.bom;
+    els.csvHeader.checked = csv.header;
+    els.csvFormulaGuard.checked = csv.formulaGuard;
+    els.csvHeaderLabels.classList.toggle('hidden', !csv.header);
+    renderCsvHeaderLabels();
+}
+
+function renderCsvHeaderLabels() {
+    // One input per field; empty keeps the field name as the header
+    if (!els.csvHeaderLabels) return;
+    els.csvHeaderLabels.innerHTML = '';
+    appState.fields.forEach(field => {
+        const row = document.createElement('div');
+        row.className = 'mapping-values';
+        row.innerHTML = `
+            <span class="mapping-tag csv-label-field" title="${escapeHtml(field)}">${escapeHtml(field)}</span>
+            <input type="text" class="glass-input" placeholder="${escapeHtml(field)}" value="${escapeHtml(appState.csvOptions.headerLabels[field] || '')}">
+        `;
+        row.querySelector('input').addEventListener('input', (e) => {
+            const label = e.target.value;
+            if (label) appState.csvOptions.headerLabels[field] = label;
+            else delete appState.csvOptions.headerLabels[field];
+            updatePreviewDebounced();
+        });
+        els.csvHeaderLabels.appendChild(row);
+    });
+}
+
+// --- Export Options UI ---
+
+function setupExportOptionsUI() {
+    els.xmlRootName = document.getElementById('xmlRootName');
+    els.xmlRowName = document.getElementById('xmlRowName');
+    els.sqlTableName = document.getElementById('sqlTableName');
+    els.sqlDialect = document.getElementById('sqlDialect');
+    els.jsonShape = document.getElementById('jsonShape');
+    els.csvShape = document.getElementById('csvShape');
+    els.trailingNewline = document.getElementById('trailingNewline');
+    els.exportEncoding = document.getElementById('exportEncoding');
+    els.exportLineEnding = document.getElementById('exportLineEnding');
+    els.filenamePreview = document.getElementById('filenamePreview');
+
+    const bind = (el, event, key) => el.addEventListener(event, (e) => {
+        appState.exportOptions[key] = e.target.value;
+        updatePreviewDebounced(); // Not previewed, but the change is an undo step
+    });
+    bind(els.xmlRootName, 'input', 'xmlRoot');
+    bind(els.xmlRowName, 'input', 'xmlRow');
+    bind(els.sqlTableName, 'input', 'sqlTable');
+    bind(els.sqlDialect, 'change', 'sqlDialect');
+    bind(els.jsonShape, 'change', 'jsonShape');
+    bind(els.csvShape, 'change', 'csvShape');
+    bind(els.exportEncoding, 'change', 'encoding');
+    bind(els.exportLineEnding, 'change', 'lineEnding');
+    els.trailingNewline.addEventListener('change', (e) => {
+        appState.exportOptions.trailingNewline = e.target.checked;
+        updatePreview();
+    });
+    syncExportOptionControls();
+
+    loadExportSettings();
+    els.filenameInput.addEventListener('input', () => {
+        renderFilenamePreview();
+        saveExportSettings();
+    });
+    els.filenameInput.addEventListener('keydown', (e) => {
+        // Enter downloads again in the last used format
+        if (e.key === 'Enter') downloadFile(appState.outputFormat);
+    });
+    renderFilenamePreview();
+}
+
+function syncExportOptionControls() {
+    const o = appState.exportOptions;
+    els.xmlRootName.value = o.xmlRoot;
+    els.xmlRowName.value = o.xmlRow;
+    els.sqlTableName.value = o.sqlTable;
+    els.sqlDialect.value = o.sqlDialect;
+    els.jsonShape.value = o.jsonShape;
+    els.csvShape.value = o.csvShape;
+    els.trailingNewline.checked = o.trailingNewline;
+    els.exportEncoding.value = o.encoding;
+    els.exportLineEnding.value = o.lineEnding;
+}
+
+const EXPORT_SETTINGS_KEY = 'jsonReformatter.exportSettings';
+const DEFAULT_FILENAME_TEMPLATE = 'json-format-result_{date}_{time}';
+
+function loadExportSettings() {
+    // Last used format and filename template survive reloads
+    try {
+        const stored = JSON.parse(localStorage.getItem(EXPORT_SETTINGS_KEY) || '{}');
+        if (OUTPUT_FORMATS.includes(stored.outputFormat)) appState.outputFormat = stored.outputFormat;
+        if (typeof stored.filename === 'string') els.filenameInput.value = stored.filename;
+    } catch (e) {
+        // Unavailable storage keeps the defaults
+    }
+}
+
+function saveExportSettings() {
+    try {
+        localStorage.setItem(EXPORT_SETTINGS_KEY, JSON.stringify({
+            outputFormat: appState.outputFormat,
+            filename: els.filenameInput.value
+        }));
+    } catch (e) {
+        // Not worth a toast: the settings only matter for the next visit
+    }
+}
+
+function buildFilename(type, now = new Date()) {
+    // Tokens: {date} YYYYMMDD, {time} HHMM, {source} loaded file name, {rows} output rows, {preset}
+    const pad = n => String(n).padStart(2, '0');
+    const template = els.filenameInput.value.trim() || DEFAULT_FILENAME_TEMPLATE;
+    const values = {
+        date: `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`,
+        time: `${pad(now.getHours())}${pad(now.getMinutes())}`,
+        source: appState.sourceName,
+        preset: els.presetSelect ? els.presetSelect.value : ''
+    };
+    // Counting output rows is a full pass over the data, so only templates using {rows} pay for it
+    if (template.includes('{rows}')) values.rows = String(getOutputRowCount());
+    // Literal text stays as typed; an empty token takes one separator next to it along
+    // ("a_{source}_b" -> "a_b", "{source}_a" -> "a")
+    let name = '';
+    let dropSeparator = false;
+    template.split(/(\{\w+\})/).forEach((part, i) => {
+        if (!part) return;
+        const key = part.slice(1, -1);
+        const isToken = i % 2 === 1 && Object.prototype.hasOwnProperty.call(values, key);
+        if (!isToken || values[key]) {
+            name += isToken ? values[key] : (dropSeparator ? part.replace(/^[_-]/, '') : part);
+            dropSeparator = false;
+        } else if (/[_-]$/.test(name)) {
+            name = name.slice(0, -1);
+        } else {
+            dropSeparator = true;
+        }
+    });
+    name = name.replace(/[\\/:*?"<>|\u0000-\u001F]/g, '_').replace(/^[. ]+|[. ]+$/g, '');
+    if (!name) name = 'json-format-result';
+    return name.endsWith('.' + type) ? name : `${name}.${type}`;
+}
+
+function renderFilenamePreview() {
+    if (!els.filenamePreview) return;
+    els.filenamePreview.textContent = `파일명: ${buildFilename(appState.outputFormat)}`;
+}
+
+// --- Field Format UI ---
+// One panel under the field list edits the format of the field whose "Aa" button was clicked
+
+let formatPanelField = null; // Field the panel is editing
+
+function setupFieldFormatUI() {
+    els.fieldFormatPanel = document.getElementById('fieldFormatPanel');
+    els.fmtFieldName = document.getElementById('fmtFieldName');
+    els.fmtNumberOptions = document.getElementById('fmtNumberOptions');
+    els.fmtDateOptions = document.getElementById('fmtDateOptions');
+    els.fmtSample = document.getElementById('fmtSample');
+    els.fmtControls = {
+        kind: document.getElementById('fmtKind'),
+        numberStyle: document.getElementById('fmtNumberStyle'),
+        decimals: document.getElementById('fmtDecimals'),
+        locale: document.getElementById('fmtLocale'),
+        currency: document.getElementById('fmtCurrency'),
+        thousands: document.getElementById('fmtThousands'),
+        dateInput: document.getElementById('fmtDateInput'),
+        dateOutput: document.getElementById('fmtDateOutput'),
+        timeZone: document.getElementById('fmtTimeZone'),
+        textCase: document.getElementById('fmtTextCase'),
+        trim: document.getElementById('fmtTrim'),
+        padChar: document.getElementById('fmtPadChar'),
+        padLength: document.getElementById('fmtPadLength'),
+        padSide: document.getElementById('fmtPadSide'),
+        prefix: document.getElementById('fmtPrefix'),
+        suffix: document.getElementById('fmtSuffix'),
+        maxLength: document.getElementById('fmtMaxLength')
+    };
+
+    Object.values(els.fmtControls).forEach(control => {
+        const event = control.tagName === 'SELECT' || control.type === 'checkbox' ? 'change' : 'input';
+        control.addEventListener(event, readFieldFormatControls);
+    });
+    document.getElementById('fmtCloseBtn').addEventListener('click', closeFieldFormatPanel);
+    document.getElementById('fmtResetBtn').addEventListener('click', () => {
+        delete appState.fieldFormats[formatPanelField];
+        openFieldFormatPanel(formatPanelField);
+        renderFieldList();
+        updatePreview();
+    });
+}
+
+function openFieldFormatPanel(field) {
+    formatPanelField = field;
+    const format = appState.fieldFormats[field] || {};
+    const c = els.fmtControls;
+    c.kind.value = format.kind || 'text';
+    c.numberStyle.value = format.numberStyle || 'decimal';
+    c.decimals.value = Number.isInteger(format.decimals) ? format.decimals : '';
+    c.locale.value = format.locale || '';
+    c.currency.value = format.currency || '';
+    c.thousands.checked = format.thousands !== false;
+    c.dateInput.value = format.dateInput || '';
+    c.dateOutput.value = format.dateOutput || '';
+    c.timeZone.value = format.timeZone || '';
+    c.textCase.value = format.textCase || '';
+    c.trim.checked = Boolean(format.trim);
+    c.padChar.value = format.padChar || '';
+    c.padLength.value = format.padLength || '';
+    c.padSide.value = format.padSide || 'start';
+    c.prefix.value = format.prefix || '';
+    c.suffix.value = format.suffix || '';
+    c.maxLength.value = format.maxLength || '';
+
+    els.fmtFieldName.textContent = field;
+    els.fieldFormatPanel.classList.remove('hidden');
+    syncFieldFormatSections();
+}
+
+function closeFieldFormatPanel() {
+    formatPanelField = null;
+    els.fieldFormatPanel.classList.add('hidden');
+}
+
+function readFieldFormatControls() {
+    if (!formatPanelField) return;
+    const c = els.fmtControls;
+    const kind = c.kind.value;
+    const decimals = parseInt(c.decimals.value, 10);
+
+    // Only settings that change something are stored, so presets stay readable
+    const format = { kind };
+    if (kind === 'number') {
+        if (c.numberStyle.value !== 'decimal') format.numberStyle = c.numberStyle.value;
+        if (!isNaN(decimals) && decimals >= 0) format.decimals = Math.min(decimals, 20);
+        if (c.locale.value.trim()) format.locale = c.locale.value.trim();
+        if (c.currency.value.trim()) format.currency = c.currency.value.trim().toUpperCase();
+        if (!c.thousands.checked) format.thousands = false;
+    } else if (kind === 'date') {
+        if (c.dateInput.value.trim()) format.dateInput = c.dateInput.value.trim();
+        if (c.dateOutput.value.trim()) format.dateOutput = c.dateOutput.value.trim();
+        if (c.timeZone.value.trim()) format.timeZone = c.timeZone.value.trim();
+    }
+    if (c.textCase.value) format.textCase = c.textCase.value;
+    if (c.trim.checked) format.trim = true;
+    const padLength = parseInt(c.padLength.value, 10);
+    if (c.padChar.value && padLength > 0) {
+        format.padChar = c.padChar.value;
+        format.padLength = padLength;
+        if (c.padSide.value === 'end') format.padSide = 'end';
+    }
+    if (c.prefix.value) format.prefix = c.prefix.value;
+    if (c.suffix.value) format.suffix = c.suffix.value;
+    const maxLength = parseInt(c.maxLength.value, 10);
+    if (maxLength > 0) format.maxLength = maxLength;
+
+    const hadFormat = Boolean(appState.fieldFormats[formatPanelField]);
+    if (Object.keys(format).length === 1 && kind === 'text') delete appState.fieldFormats[formatPanelField];
+    else appState.fieldFormats[formatPanelField] = format;
+
+    syncFieldFormatSections();
+    if (hadFormat !== Boolean(appState.fieldFormats[formatPanelField])) renderFieldList();
+    updatePreviewDebounced();
+}
+
+function syncFieldFormatSections() {
+    const kind = els.fmtControls.kind.value;
+    els.fmtNumberOptions.classList.toggle('hidden', kind !== 'number');
+    els.fmtDateOptions.classList.toggle('hidden', kind !== 'date');
+    els.fmtControls.currency.disabled = els.fmtControls.numberStyle.value !== 'currency';
+
+    // Before/after for the first value of the field
+    const field = formatPanelField;
+    const item = appState.originalData.find(record => {
+        const val = getFieldValue(record, field);
+        return val !== undefined && val !== null && val !== '';
+    });
+    if (!item) {
+        els.fmtSample.textContent = '';
+        return;
+    }
+    const val = getFieldValue(item, field);
+    const before = stringifyValue(val, appState.options.arraySeparator);
+    els.fmtSample.textContent = `예: ${before} → ${stringifyValue(formatFieldValue(val, field), appState.options.arraySeparator)}`;
+}
+
+// --- Schema UI ---
+
+let schemaInfo = null; // Last inferSchema result: { fields, byField: Map(field -> info), mismatches: Map(field -> Set of rows) }
+
+function setupSchemaUI() {
+    els.schemaList = document.getElementById('schemaList');
+}
+
+function refreshSchema() {
+    // Inferred over the whole dataset (not the preview sample), so counts and rows are exact
+    showSchema(appState.originalData.length === 0 ? null : inferSchema(appState.originalData, appState.fields));
+}
+
+function showSchema(fields) {
+    // fields: an inferSchema result (from here or the analysis worker), null without data
+    if (!fields) {
+        schemaInfo = null;
+    } else {
+        schemaInfo = {
+            fields,
+            byField: new Map(fields.map(info => [info.field, info])),
+            mismatches: new Map(fields.map(info => [info.field, new Set(info.inconsistentRows)]))
+        };
+    }
+    renderSchemaPanel();
+}
+
+function parseCellValue(text, field) {
+    // Edited text takes the field's type: the target type if one is set, else the inferred one.
+    // Fields without a clear type keep the old guess (number, true/false, null, text).
+    if (text === 'null') return null;
+    const targetType = appState.fieldTypes[field];
+    const info = schemaInfo && schemaInfo.byField.get(field);
+    const inferredType = info && info.type !== 'mixed' ? info.type : null;
+
+    if (text !== '' && (targetType || ['integer', 'float', 'boolean'].includes(inferredType))) {
+        const result = coerceValue(text, targetType || inferredType);
+        return result.ok ? result.value : text;
+    }
+    if (inferredType === 'string' || inferredType === 'date') return text;
+
+    if (!isNaN(text) && text !== '') return parseFloat(text);
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    return text;
+}
+
+function formatSchemaExamples(values) {
+    return values.map(v => `"${v.length > 20 ? v.slice(0, 20) + '…' : v}"`).join(', ');
+}
+
+function renderSchemaPanel() {
+    if (!els.schemaList) return;
+    if (!schemaInfo) {
+        els.schemaList.innerHTML = '<div class="empty-state">데이터를 입력하면 필드별 타입이 표시됩니다.</div>';
+        return;
+    }
+
+    els.schemaList.innerHTML = '';
+    schemaInfo.fields.forEach(info => {
+        const item = document.createElement('div');
+        item.className = 'schema-item';
+
+        const typeLabel = info.type === 'mixed'
+            ? `${SCHEMA_TYPES.mixed} (주로 ${SCHEMA_TYPES[info.mainType]})`
+            : SCHEMA_TYPES[info.type];
+        const rows = info.inconsistentRows;
+        const rowList = rows.slice(0, 5).map(row => `#${row + 1}`).join(', ') + (rows.length > 5 ? ` 외 ${rows.length - 5}행` : '');
+        const targetOptions = COERCE_TYPES
+            .map(t => `<option value="${t}" ${t === info.targetType ? 'selected' : ''}>→ ${SCHEMA_TYPES[t]}</option>`)
+            .join('');
+
+        item.innerHTML = `
+            <div class="schema-head">
+                <span class="mapping-tag schema-field" title="${escapeHtml(info.field)}">${escapeHtml(info.field)}</span>
+                <span class="schema-type type-${info.type}">${typeLabel}</span>
+                ${info.nullHeavy ? '<span class="schema-type null-heavy">빈 값 많음</span>' : ''}
+                <span class="schema-fill" title="${info.filled} / ${info.total}행">${Math.round(info.fillRate * 100)}%</span>
+            </div>
+            ${info.examples.length ? `<div class="schema-detail">예: ${escapeHtml(formatSchemaExamples(info.examples))}</div>` : ''}
+            ${rows.length ? `<div class="schema-detail warning" title="표 보기에서 점선으로 표시됩니다">불일치 ${rows.length}행: ${rowList}</div>` : ''}
+            ${info.failures ? `<div class="schema-detail warning">변환 실패 ${info.failures}건 (원래 값 유지): ${escapeHtml(formatSchemaExamples(info.failureExamples))}</div>` : ''}
+            <select class="glass-input schema-target">
+                <option value="">변환 안 함</option>
+                ${targetOptions}
+            </select>
+        `;
+        item.querySelector('.schema-target').addEventListener('change', (e) => {
+            if (e.target.value) appState.fieldTypes[info.field] = e.target.value;
+            else delete appState.fieldTypes[info.field];
+            updatePreview();
+        });
+
+        els.schemaList.appendChild(item);
+    });
+}
+
+// --- Validation UI ---
+
+let validationInfo = null; // Last validateRecords result: { invalid, rows: Map(row -> errors), cells: Map(row -> Map(field -> message)) }
+
+function setupValidationUI() {
+    els.schemaInput = document.getElementById('schemaInput');
+    els.applySchemaBtn = document.getElementById('applySchemaBtn');
+    els.loadSchemaBtn = document.getElementById('loadSchemaBtn');
+    els.clearSchemaBtn = document.getElementById('clearSchemaBtn');
+    els.schemaFileInput = document.getElementById('schemaFileInput');
+    els.excludeInvalid = document.getElementById('excludeInvalid');
+    els.validationSummary = document.getElementById('validationSummary');
+
+    els.applySchemaBtn.addEventListener('click', applySchemaInput);
+    els.loadSchemaBtn.addEventListener('click', () => els.schemaFileInput.click());
+    els.schemaFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            const reader = new FileReader();
+            reader.onload = (ev) => {
+                els.schemaInput.value = ev.target.result;
+                applySchemaInput();
+            };
+            reader.readAsText(file);
+        }
+        e.target.value = '';
+    });
+    els.clearSchemaBtn.addEventListener('click', () => {
+        els.schemaInput.value = '';
+        appState.validation.schema = null;
+        applyValidationChange();
+    });
+    els.excludeInvalid.addEventListener('change', (e) => {
+        appState.validation.excludeInvalid = e.target.checked;
+        applyValidationChange();
+    });
+}
+
+function applySchemaInput() {
+    const text = els.schemaInput.value.trim();
+    if (!text) {
+        appState.validation.schema = null;
+        applyValidationChange();
+        return;
+    }
+
+    let schema;
+    try {
+        schema = JSON.parse(text);
+        checkJsonSchema(schema);
+    } catch (err) {
+        showToast('스키마 오류: ' + err.message);
+        return;
+    }
+    appState.validation.schema = schema;
+    applyValidationChange();
+    showToast('스키마를 적용했습니다.');
+}
+
+function applyValidationChange() {
+    updatePreview();
+    // Validity feeds the row selection, so rows may appear or disappear from the table view
+    if (appState.tableViewVisible) renderTableView();
+}
+
+function syncValidationControls() {
+    const { schema, excludeInvalid } = appState.validation;
+    els.schemaInput.value = schema ? JSON.stringify(schema, null, 2) : '';
+    els.excludeInvalid.checked = excludeInvalid;
+}
+
+function refreshValidation() {
+    const schema = appState.validation.schema;
+    showValidation(schema && appState.originalData.length > 0 ? validateRecords(appState.originalData, schema) : null);
+}
+
+function showValidation(invalid) {
+    // invalid: a validateRecords result (from here or the analysis worker), null without a schema
+    if (!invalid) {
+        validationInfo = null;
+    } else {
+        const cells = new Map();
+        invalid.forEach(({ row, errors }) => {
+            const fieldErrors = new Map();
+            errors.forEach(error => {
+                getErrorFields(error.path).forEach(field => {
+                    if (!fieldErrors.has(field)) fieldErrors.set(field, error.message);
+                });
+            });
+            cells.set(row, fieldErrors);
+        });
+        validationInfo = {
+            invalid,
+            rows: new Map(invalid.map(({ row, errors }) => [row, errors])),
+            cells
+        };
+    }
+    renderValidationSummary();
+}
+
+function getErrorFields(path) {
+    // Columns an error belongs to: the field itself or the fields inside it (address.* for address),
+    // else the field holding it (tags for tags[2] when arrays are joined)
+    if (!path) return [];
+    const within = (inner, outer) => inner === outer || inner.startsWith(outer + '.') || inner.startsWith(outer + '[');
+    const matching = appState.fields.filter(field => within(field, path));
+    return matching.length > 0 ? matching : appState.fields.filter(field => within(path, field));
+}
+
+function describeValidationError(error) {
+    return `${error.path || '(레코드)'}: ${error.message}`;
+}
+
+function renderValidationSummary() {
+    if (!els.validationSummary) return;
+    if (!validationInfo) {
+        els.validationSummary.textContent = appState.validation.schema ? '' : '스키마가 없습니다.';
+        els.validationSummary.classList.remove('invalid');
+        return;
+    }
+
+    const { invalid } = validationInfo;
+    const total = appState.originalData.length;
+    els.validationSummary.classList.toggle('invalid', invalid.length > 0);
+    if (invalid.length === 0) {
+        els.validationSummary.textContent = `모든 행이 유효합니다 (${total}행).`;
+        return;
+    }
+
+    const excluded = appState.validation.excludeInvalid ? ' · 출력에서 제외됨' : '';
+    const lines = invalid.slice(0, 5).map(({ row, errors }) => {
+        const more = errors.length > 1 ? ` 외 ${errors.length - 1}건` : '';
+        return `<li>#${row + 1} ${escapeHtml(describeValidationError(errors[0]))}${more}</li>`;
+    });
+    if (invalid.length > 5) lines.push(`<li>… 외 ${invalid.length - 5}행</li>`);
+    els.validationSummary.innerHTML = `
+        <div>유효하지 않은 행 ${invalid.length} / ${total}${excluded}</div>
+        <ul>${lines.join('')}</ul>
+    `;
+}
+
+// --- Table Marks ---
+// Schema type mismatches and validation errors shown on table view and full editor cells
+
+const refreshDataChecksDebounced = debounce(refreshDataChecks, 300);
+
+function refreshDataChecks() {
+    // Both run over the whole dataset, off the typing path; for large data in the analysis worker
+    if (appState.originalData.length > PREVIEW_SAMPLE_ROWS) {
+        requestAnalysis();
+        return;
+    }
+    refreshSchema();
+    refreshValidation();
+    markTableCells(els.dataTable);
+    markTableCells(els.modalDataTable);
+}
+
+function getCellMarks(field, rowIndex) {
+    // Extra classes and title attribute for a data cell
+    let classes = '';
+    let title = '';
+    const mismatches = schemaInfo && schemaInfo.mismatches.get(field);
+    if (mismatches && mismatches.has(rowIndex)) classes += ' type-mismatch';
+    const fieldErrors = validationInfo && validationInfo.cells.get(rowIndex);
+    if (fieldErrors && fieldErrors.has(field)) {
+        classes += ' invalid-cell';
+        title = ` title="${escapeHtml(fieldErrors.get(field))}"`;
+    }
+    return { classes, title };
+}
+
+function getRowMarkAttrs(rowIndex) {
+    const errors = validationInfo && validationInfo.rows.get(rowIndex);
+    if (!errors) return '';
+    return ` class="invalid-row" title="${escapeHtml(errors.map(describeValidationError).join('\n'))}"`;
+}
+
+function markTableCells(table) {
+    // Rows already on screen; rows scrolled into view later get their marks when rendered
+    table.querySelectorAll('td[data-field]').forEach(cell => {
+        const rowIndex = parseInt(cell.dataset.row);
+        const fieldErrors = validationInfo && validationInfo.cells.get(rowIndex);
+        const message = fieldErrors && fieldErrors.get(cell.dataset.field);
+        const mismatches = schemaInfo && schemaInfo.mismatches.get(cell.dataset.field);
+        cell.classList.toggle('type-mismatch', Boolean(mismatches && mismatches.has(rowIndex)));
+        cell.classList.toggle('invalid-cell', Boolean(message));
+        if (message) cell.title = message;
+        else cell.removeAttribute('title');
+
+        const errors = validationInfo && validationInfo.rows.get(rowIndex);
+        cell.parentElement.classList.toggle('invalid-row', Boolean(errors));
+        if (errors) cell.parentElement.title = errors.map(describeValidationError).join('\n');
+        else cell.parentElement.removeAttribute('title');
+    });
+}
+
+// --- Preset Logic ---
+
+const PRESET_STORAGE_KEY = 'jsonReformatter.presets';
+const PRESET_AUTO_APPLY_KEY = 'jsonReformatter.autoApplyPresets';
+const PRESET_FILE_TYPE = 'json-reformatter-presets';
+
+function cloneConfig(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function getTransformConfig() {
+    // Everything that shapes the output, detached from appState so later edits don't leak in
+    return cloneConfig({
+        version: 1,
+        fields: appState.fields,
+        selectedFields: appState.selectedFields,
+        options: appState.options,
+        csvOptions: appState.csvOptions,
+        exportOptions: appState.exportOptions,
+        columnAlign: appState.columnAlign,
+        mappings: appState.mappings,
+        derivedFields: appState.derivedFields,
+        fieldTypes: appState.fieldTypes,
+        fieldFormats: appState.fieldFormats,
+        validation: appState.validation,
+        rowFilter: appState.rowFilter,
+        sortKeys: appState.sortKeys,
+        groupBy: appState.groupBy,
+        importOptions: appState.importOptions,
+        recordPath: appState.recordPath,
+        outputFormat: appState.outputFormat,
+        filename: els.filenameInput.value
+    });
+}
+
+function applyTransformConfig(config, { silent = false } = {}) {
+    const c = createTransformConfig(config);
+    appState.options = c.options;
+    appState.csvOptions = c.csvOptions;
+    appState.exportOptions = c.exportOptions;
+    appState.columnAlign = c.columnAlign;
+    appState.mappings = c.mappings;
+    appState.derivedFields = c.derivedFields;
+    appState.fieldTypes = c.fieldTypes;
+    appState.fieldFormats = c.fieldFormats;
+    appState.validation = c.validation;
+    appState.rowFilter = c.rowFilter;
+    appState.sortKeys = c.sortKeys;
+    appState.groupBy = c.groupBy;
+    // Import options and the record root decide which records there are, and the CLI reads the
+    // file with them. Auto-applied presets (silent) come from loadRecords, for records already read.
+    const rereadInput = !silent && (c.recordPath !== appState.recordPath
+        || JSON.stringify(c.importOptions) !== JSON.stringify(appState.importOptions));
+    if (!silent) {
+        appState.importOptions = c.importOptions;
+        appState.recordPath = c.recordPath;
+    }
+    appState.outputFormat = config.outputFormat || 'txt';
+    if (config.filename !== undefined) els.filenameInput.value = config.filename;
+
+    extractFields(false);
+    Object.assign(appState, resolveFieldSelection(appState.fields, c));
+
+    syncOptionControls();
+    syncValidationControls();
+    syncCsvOptionControls();
+    syncExportOptionControls();
+    if (formatPanelField) {
+        if (appState.fields.includes(formatPanelField)) openFieldFormatPanel(formatPanelField);
+        else closeFieldFormatPanel();
+    }
+    highlightOutputFormat();
+    renderFilenamePreview();
+    renderMappingList();
+    // loadRecords renders the data-dependent parts itself
+    if (silent) return;
+
+    syncImportControls();
+    if (rereadInput && els.jsonInput.value.trim()) {
+        handleInput();
+        return;
+    }
+    assignFieldColors();
+    renderFieldList();
+    updateMappingSelect();
+    renderFilterPanel();
+    renderSortPanel();
+    renderGroupPanel();
+    updatePreview();
+    if (appState.tableViewVisible) renderTableView();
+}
+
+function syncOptionControls() {
+    // Reflect appState.options in the Formatting controls
+    const o = appState.options;
+    els.optUseTab.checked = o.useTab;
+    els.optSingleLine.checked = o.singleLine;
+    els.optStartIndent.value = String(o.startIndent);
+    els.optFieldSpacing.value = o.fieldSpacing;
+    els.optArrayMode.value = o.arrayMode;
+    els.optArraySeparator.value = o.arraySeparator;
+    els.optArraySeparator.disabled = o.arrayMode !== 'join';
+    els.optTxtMode.value = o.txtMode;
+    els.optLineTemplate.value = o.lineTemplate;
+    els.optFixedMaxWidth.value = o.fixedMaxWidth;
+    els.templateOptions.classList.toggle('hidden', o.txtMode !== 'template');
+    els.fixedOptions.classList.toggle('hidden', o.txtMode !== 'fixed');
+    els.fieldList.classList.toggle('fixed-mode', o.txtMode === 'fixed');
+}
+
+function syncImportControls() {
+    const o = appState.importOptions;
+    els.importDelimiter.value = o.delimiter;
+    els.importHeader.value = o.header;
+    els.importInferTypes.checked = o.inferTypes;
+    els.recordPathInput.value = appState.recordPath;
+}
+
+function highlightOutputFormat() {
+    els.exportBtns.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.type === appState.outputFormat);
+    });
+}
+
+function getFieldSignature(fields) {
+    return [...fields].sort().join('\n');
+}
+
+function findMatchingPreset(signature) {
+    if (!signature) return null;
+    // Most recently saved preset wins
+    return appState.presets
+        .filter(p => getFieldSignature(p.sourceFields || []) === signature)
+        .sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''))[0] || null;
+}
+
+function isValidPreset(preset) {
+    return preset && typeof preset.name === 'string' && preset.name.trim() !== ''
+        && preset.config && typeof preset.config === 'object';
+}
+
+function loadPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '[]');
+        appState.presets = Array.isArray(stored) ? stored.filter(isValidPreset) : [];
+        appState.autoApplyPresets = localStorage.getItem(PRESET_AUTO_APPLY_KEY) !== 'false';
+    } catch (e) {
+        // Storage may be unavailable (private mode) or hold garbage; start empty
+        appState.presets = [];
+    }
+}
+
+function savePresets() {
+    try {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(appState.presets));
+        localStorage.setItem(PRESET_AUTO_APPLY_KEY, String(appState.autoApplyPresets));
+    } catch (e) {
+        showToast('프리셋을 브라우저에 저장하지 못했습니다.');
+    }
+}
+
+function upsertPreset(preset) {
+    const index = appState.presets.findIndex(p => p.name === preset.name);
+    if (index >= 0) appState.presets[index] = preset;
+    else appState.presets.push(preset);
+}
+
+// --- Preset UI ---
+
+function setupPresetUI() {
+    els.presetSelect = document.getElementById('presetSelect');
+    els.applyPresetBtn = document.getElementById('applyPresetBtn');
+    els.savePresetBtn = document.getElementById('savePresetBtn');
+    els.deletePresetBtn = document.getElementById('deletePresetBtn');
+    els.exportPresetsBtn = document.getElementById('exportPresetsBtn');
+    els.importPresetsBtn = document.getElementById('importPresetsBtn');
+    els.importPresetsInput = document.getElementById('importPresetsInput');
+    els.presetAutoApply = document.getElementById('presetAutoApply');
+
+    loadPresets();
+    renderPresetList();
+    highlightOutputFormat();
+
+    els.applyPresetBtn.addEventListener('click', () => {
+        const preset = appState.presets.find(p => p.name === els.presetSelect.value);
+        if (!preset) return;
+        applyTransformConfig(preset.config);
+        showToast(`프리셋 "${preset.name}"을(를) 적용했습니다.`);
+    });
+    els.savePresetBtn.addEventListener('click', savePresetFromState);
+    els.presetSelect.addEventListener('change', renderFilenamePreview); // {preset} in the filename
+    els.deletePresetBtn.addEventListener('click', () => {
+        const name = els.presetSelect.value;
+        if (!name || !confirm(`프리셋 "${name}"을(를) 삭제하시겠습니까?`)) return;
+        appState.presets = appState.presets.filter(p => p.name !== name);
+        savePresets();
+        renderPresetList();
+    });
+    els.exportPresetsBtn.addEventListener('click', exportPresets);
+    els.importPresetsBtn.addEventListener('click', () => els.importPresetsInput.click());
+    els.importPresetsInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) importPresets(file);
+        e.target.value = '';
+    });
+    els.presetAutoApply.addEventListener('change', (e) => {
+        appState.autoApplyPresets = e.target.checked;
+        savePresets();
+    });
+}
+
+function renderPresetList() {
+    const current = els.presetSelect.value;
+    els.presetSelect.innerHTML = '<option value="">(프리셋 선택)</option>';
+    appState.presets.forEach(p => {
+        const opt = document.createElement('option');
+        opt.value = p.name;
+        opt.textContent = p.name;
+        els.presetSelect.appendChild(opt);
+    });
+    els.presetSelect.value = appState.presets.some(p => p.name === current) ? current : '';
+    els.presetAutoApply.checked = appState.autoApplyPresets;
+}
+
+function savePresetFromState() {
+    const name = (prompt('프리셋 이름을 입력하세요:', els.presetSelect.value || '') || '').trim();
+    if (!name) return;
+    if (appState.presets.some(p => p.name === name) && !confirm(`"${name}" 프리셋을 덮어쓰시겠습니까?`)) {
+        return;
+    }
+
+    upsertPreset({
+        name,
+        savedAt: new Date().toISOString(),
+        sourceFields: getSourceFields(),
+        config: getTransformConfig()
+    });
+    savePresets();
+    renderPresetList();
+    els.presetSelect.value = name;
+    showToast(`프리셋 "${name}"을(를) 저장했습니다.`);
+}
+
+function exportPresets() {
+    if (appState.presets.length === 0) {
+        showToast('내보낼 프리셋이 없습니다.');
+        return;
+    }
+
+    // A selected preset is exported alone, otherwise all of them
+    const selected = appState.presets.filter(p => p.name === els.presetSelect.value);
+    const presets = selected.length ? selected : appState.presets;
+    const content = JSON.stringify({ type: PRESET_FILE_TYPE, version: 1, presets }, null, 2);
+
+    const blob = new Blob([content], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = selected.length ? `${selected[0].name}.preset.json` : 'presets.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function importPresets(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        let presets;
+        try {
+            const parsed = JSON.parse(e.target.result);
+            presets = parsed && parsed.type === PRESET_FILE_TYPE ? parsed.presets : null;
+        } catch (err) {
+            presets = null;
+        }
+        if (!Array.isArray(presets) || !presets.every(isValidPreset)) {
+            showToast('올바른 프리셋 파일이 아닙니다.');
+            return;
+        }
+
+        // Presets with the same name are replaced by the imported ones
+        presets.forEach(upsertPreset);
+        savePresets();
+        renderPresetList();
+        showToast(`프리셋 ${presets.length}개를 가져왔습니다.`);
+    };
+    reader.readAsText(file);
+}
+
+// --- History (Undo/Redo) ---
+
+const HISTORY_LIMIT = 100;
+const HISTORY_DATA_LIMIT = 50 * 1024 * 1024; // Characters of data snapshots kept across all steps
+const HISTORY_MERGE_MS = 500; // Config edits this close together (typing) become one step
+
+const editHistory = {
+    past: [],
+    future: [],
+    current: null,      // Snapshot of the state on screen: { config, data }; data is null until the loaded records are first edited
+    dataChanged: false, // Set by syncDataToInput, cleared when the next step is recorded
+    restoring: false,
+    lastRecordedAt: 0,
+    lastWasData: false
+};
+
+function captureHistoryData() {
+    // Keep the surrounding payload when the records live inside it, so undo can rebuild the input
+    let attached = false;
+    if (appState.sourceRoot !== null && appState.recordPath !== '$') {
+        try {
+            attached = selectJsonPath(appState.sourceRoot, appState.recordPath) === appState.originalData;
+        } catch (err) {
+            attached = false;
+        }
+    }
+    return JSON.stringify(attached
+        ? { root: appState.sourceRoot, path: appState.recordPath }
+        : { records: appState.originalData });
+}
+
+function prepareDataEdit() {
+    // Called before records are edited in place. Loading doesn't snapshot the data (a full
+    // stringify of every input), so the loaded records are captured here on their first edit.
+    if (!editHistory.current || editHistory.current.data !== null) return;
+    const data = captureHistoryData();
+    [...editHistory.past, editHistory.current, ...editHistory.future].forEach(snapshot => {
+        if (snapshot.data === null) snapshot.data = data;
+    });
+}
+
+function getHistoryDataSize() {
+    // Consecutive steps share their data string, so each distinct snapshot counts once
+    const strings = new Set();
+    [...editHistory.past, editHistory.current, ...editHistory.future].forEach(snapshot => {
+        if (snapshot.data !== null) strings.add(snapshot.data);
+    });
+    let size = 0;
+    strings.forEach(data => { size += data.length; });
+    return size;
+}
+
+function captureHistoryConfig() {
+    const config = getTransformConfig();
+    // Filename and export format aren't edits worth undoing
+    delete config.filename;
+    delete config.outputFormat;
+    return JSON.stringify(config);
+}
+
+function recordHistory() {
+    if (!editHistory.current || editHistory.restoring) return;
+
+    const config = captureHistoryConfig();
+    const dataChanged = editHistory.dataChanged;
+    editHistory.dataChanged = false;
+    if (!dataChanged && config === editHistory.current.config) return;
+
+    // Unchanged data shares the previous snapshot's string
+    const snapshot = { config, data: dataChanged ? captureHistoryData() : editHistory.current.data };
+    const now = Date.now();
+    const merge = !dataChanged && !editHistory.lastWasData
+        && editHistory.past.length > 0 && now - editHistory.lastRecordedAt < HISTORY_MERGE_MS;
+    editHistory.lastRecordedAt = now;
+    editHistory.lastWasData = dataChanged;
+
+    if (!merge) {
+        editHistory.past.push(editHistory.current);
+        if (editHistory.past.length > HISTORY_LIMIT) editHistory.past.shift();
+    }
+    editHistory.current = snapshot;
+    editHistory.future = [];
+    // Large inputs make every data step a large string: drop the oldest steps past the size limit
+    if (dataChanged) {
+        while (editHistory.past.length > 0 && getHistoryDataSize() > HISTORY_DATA_LIMIT) editHistory.past.shift();
+    }
+    updateHistoryButtons();
+}
+
+function resetHistory() {
+    editHistory.past = [];
+    editHistory.future = [];
+    editHistory.dataChanged = false;
+    editHistory.lastRecordedAt = 0;
+    // The data is captured by prepareDataEdit once an edit needs it
+    editHistory.current = { config: captureHistoryConfig(), data: null };
+    updateHistoryButtons();
+}
+
+function clearHistory() {
+    editHistory.past = [];
+    editHistory.future = [];
+    editHistory.current = null;
+    updateHistoryButtons();
+}
+
+function undo() {
+    if (editHistory.past.length === 0) return;
+    editHistory.future.push(editHistory.current);
+    restoreHistory(editHistory.past.pop());
+}
+
+function redo() {
+    if (editHistory.future.length === 0) return;
+    editHistory.past.push(editHistory.current);
+    restoreHistory(editHistory.future.pop());
+}
+
+function restoreHistory(snapshot) {
+    const dataChanged = snapshot.data !== editHistory.current.data;
+    editHistory.current = snapshot;
+    editHistory.restoring = true;
+    editHistory.lastRecordedAt = 0;
+    try {
+        if (dataChanged) {
+            const data = JSON.parse(snapshot.data);
+            if (data.root !== undefined) {
+                appState.sourceRoot = data.root;
+                appState.recordPath = data.path;
+                appState.originalData = selectJsonPath(data.root, data.path);
+            } else {
+                appState.originalData = data.records;
+                if (appState.inputFormat === 'json') appState.sourceRoot = data.records;
+            }
+            syncDataToInput();
+            editHistory.dataChanged = false;
+        }
+        applyTransformConfig(JSON.parse(snapshot.config));
+        if (!els.fullEditorModal.classList.contains('hidden')) renderModalTable();
+    } finally {
+        editHistory.restoring = false;
+    }
+    updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+    if (!els.undoBtns) return;
+    els.undoBtns.forEach(btn => { btn.disabled = editHistory.past.length === 0; });
+    els.redoBtns.forEach(btn => { btn.disabled = editHistory.future.length === 0; });
+}
+
+function setupHistoryUI() {
+    els.undoBtns = document.querySelectorAll('.undo-btn');
+    els.redoBtns = document.querySelectorAll('.redo-btn');
+    els.undoBtns.forEach(btn => btn.addEventListener('click', undo));
+    els.redoBtns.forEach(btn => btn.addEventListener('click', redo));
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+
+        // Text fields keep their own native undo
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) redo();
+        else undo();
+    });
+    updateHistoryButtons();
+}
+
+// --- Worker Logic ---
+// Large inputs are parsed, and large exports formatted, in worker.js. Where workers can't run
+// (e.g. index.html opened from disk in some browsers) the same core.js functions run inline.
+
+const WORKER_INPUT_THRESHOLD = 1024 * 1024; // Input length (chars) from which parsing moves to the worker
+const PREVIEW_SAMPLE_ROWS = 1000;           // Preview shows the first N output rows
+
+let coreWorker = null;
+let workerUnavailable = false;
+let workerTask = null;  // The running task: { id, resolve, reject, fallback }
+let workerTaskSeq = 0;
+
+function getCoreWorker() {
+    if (coreWorker || workerUnavailable) return coreWorker;
+    try {
+        coreWorker = new Worker('worker.js');
+    } catch (err) {
+        workerUnavailable = true;
+        return null;
+    }
+
+    coreWorker.onmessage = handleWorkerMessage;
+    coreWorker.onerror = (e) => {
+        // worker.js failed to load or crashed: finish the task inline and stop using workers
+        e.preventDefault();
+        workerUnavailable = true;
+        coreWorker.terminate();
+        coreWorker = null;
+        const task = workerTask;
+        workerTask = null;
+        hideTaskProgress();
+        if (task) runTaskInline(task);
+    };
+    return coreWorker;
+}
+
+function runTaskInline(task) {
+    try {
+        task.resolve(task.fallback());
+    } catch (err) {
+        task.reject(err);
+    }
+}
+
+function runWorkerTask(message, fallback) {
+    // One task at a time: a new one (e.g. newer input) replaces the running one
+    cancelWorkerTask();
+    return new Promise((resolve, reject) => {
+        const task = { id: ++workerTaskSeq, resolve, reject, fallback };
+        const worker = getCoreWorker();
+        if (!worker) {
+            runTaskInline(task);
+            return;
+        }
+        workerTask = task;
+        showTaskProgress('준비 중', null);
+        worker.postMessage({ ...message, id: task.id });
+    });
+}
+
+function handleWorkerMessage(e) {
+    const msg = e.data;
+    const task = workerTask;
+    if (!task || msg.id !== task.id) return; // Late message from a replaced task
+
+    if (msg.type === 'progress') {
+        showTaskProgress(msg.label, msg.percent);
+        return;
+    }
+
+    workerTask = null;
+    hideTaskProgress();
+    if (msg.type === 'result') task.resolve(msg.result);
+    else task.reject(new Error(msg.message));
+}
+
+function cancelWorkerTask() {
+    if (!workerTask) return;
+    const task = workerTask;
+    workerTask = null;
+
+    // A busy worker can't be interrupted, so it is thrown away and recreated on demand
+    coreWorker.terminate();
+    coreWorker = null;
+    hideTaskProgress();
+
+    const err = new Error('cancelled');
+    err.cancelled = true;
+    task.reject(err);
+}
+
+// --- Analysis Worker ---
+// Group counts, schema inference and validation of large data run in a second worker, so edits
+// don't wait for them and a download in the task worker is never cancelled by them. The worker
+// keeps its own copy of the records; they are sent again only after they change.
+
+let analysisWorker = null;
+let analysisRequestId = 0;    // Only the newest request's result is shown
+let analysisDataVersion = -1; // dataVersion of the records the analysis worker holds
+let dataVersion = 0;          // Bumped whenever originalData is loaded or edited
+
+function getAnalysisWorker() {
+    if (analysisWorker || workerUnavailable) return analysisWorker;
+    try {
+        analysisWorker = new Worker('worker.js');
+    } catch (err) {
+        workerUnavailable = true;
+        return null;
+    }
+
+    analysisWorker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.id !== analysisRequestId) return; // Computed for a state that has changed since
+        if (msg.type === 'result') applyAnalysis(msg.result);
+        else showStatus('Analysis failed: ' + msg.message, false);
+    };
+    analysisWorker.onerror = (e) => {
+        // Same fallback as the task worker: finish inline and stop using workers
+        e.preventDefault();
+        workerUnavailable = true;
+        analysisWorker.terminate();
+        analysisWorker = null;
+        requestAnalysis();
+    };
+    analysisDataVersion = -1;
+    return analysisWorker;
+}
+
+function requestAnalysis() {
+    // The worker also renders the preview in group-by mode (updatePreview leaves it to the worker)
+    const previewRows = isGroupingActive() ? PREVIEW_SAMPLE_ROWS : 0;
+    const worker = getAnalysisWorker();
+    if (!worker) {
+        applyAnalysis(analyzeRecords(appState.originalData, appState, { previewRows }));
+        return;
+    }
+    const message = { id: ++analysisRequestId, type: 'analyze', config: getTransformConfig(), previewRows };
+    if (analysisDataVersion !== dataVersion) {
+        message.records = appState.originalData;
+        analysisDataVersion = dataVersion;
+    }
+    worker.postMessage(message);
+}
+
+function applyAnalysis(result) {
+    showSchema(result.schema);
+    showValidation(result.invalid);
+    if (result.preview !== null) {
+        els.outputPreview.textContent = result.preview;
+        Object.assign(appState.derivedErrors, result.derivedErrors);
+        Object.assign(appState.coercionErrors, result.coercionErrors);
+        renderDerivedList();
+        updateRowCountStatus(result.shown, result.outputRows);
+    }
+    markTableCells(els.dataTable);
+    markTableCells(els.modalDataTable);
+}
+
+function showTaskProgress(label, percent) {
+    els.taskProgressLabel.textContent = percent === null ? `${label}...` : `${label}... ${percent}%`;
+    els.taskProgressBar.classList.toggle('indeterminate', percent === null);
+    els.taskProgressBar.style.width = percent === null ? '' : `${percent}%`;
+    els.taskProgress.classList.remove('hidden');
+}
+
+function hideTaskProgress() {
+    els.taskProgress.classList.add('hidden');
+}
+
+// --- Virtual Table Logic ---
+// Tables render only the rows in view plus a margin; spacer rows keep the scroll height.
+
+const VIRTUAL_OVERSCAN = 10;      // Extra rows above and below the viewport
+const VIRTUAL_DEFAULT_ROWS = 30;  // Rows assumed visible while the table can't be measured
+const virtualTables = new Map();  // table element -> { scroller, rowIndices, renderRow, columnCount, rowHeight, start, end }
+
+function renderVirtualTable(table, scroller, headHtml, rowIndices, renderRow, columnCount) {
+    let state = virtualTables.get(table);
+    if (!state) {
+        state = { rowHeight: 0, scheduled: false };
+        virtualTables.set(table, state);
+        scroller.addEventListener('scroll', () => {
+            if (state.scheduled) return;
+            state.scheduled = true;
+            requestAnimationFrame(() => {
+                state.scheduled = false;
+                renderVirtualRows(table, state);
+            });
+        });
+    }
+    Object.assign(state, { scroller, rowIndices, renderRow, columnCount, start: -1, end: -1 });
+
+    table.innerHTML = `${headHtml}<tbody></tbody>`;
+    renderVirtualRows(table, state);
+}
+
+function renderVirtualRows(table, state) {
+    const tbody = table.tBodies[0];
+    if (!tbody) return;
+    // Don't pull a cell out from under the caret; the range catches up after editing
+    const active = document.activeElement;
+    if (active && active.isContentEditable && tbody.contains(active)) return;
+
+    const total = state.rowIndices.length;
+    const rowHeight = state.rowHeight || 32;
+    const scrollerTop = state.scroller.getBoundingClientRect().top;
+    const bodyTop = tbody.getBoundingClientRect().top - scrollerTop + state.scroller.scrollTop;
+    const viewRows = state.scroller.clientHeight
+        ? Math.ceil(state.scroller.clientHeight / rowHeight)
+        : VIRTUAL_DEFAULT_ROWS;
+    const first = Math.floor(Math.max(0, state.scroller.scrollTop - bodyTop) / rowHeight);
+    const start = Math.max(0, Math.min(first, total) - VIRTUAL_OVERSCAN);
+    const end = Math.min(total, first + viewRows + VIRTUAL_OVERSCAN);
+    if (start === state.start && end === state.end) return;
+    state.start = start;
+    state.end = end;
+
+    const spacer = (rows) => rows > 0
+        ? `<tr class="virtual-spacer"><td colspan="${state.columnCount}" style="height: ${rows * rowHeight}px"></td></tr>`
+        : '';
+    let html = spacer(start);
+    for (let i = start; i < end; i++) {
+        html += state.renderRow(state.rowIndices[i]);
+    }
+    html += spacer(total - end);
+    tbody.innerHTML = html;
+
+    // Measure the real row height once rows exist, then redo the range with it
+    if (state.rowHeight) return;
+    const firstRow = tbody.querySelector('tr:not(.virtual-spacer)');
+    const measured = firstRow ? firstRow.offsetHeight : 0;
+    if (!measured) return;
+    state.rowHeight = measured;
+    if (Math.abs(measured - rowHeight) > 1) {
+        state.start = -1;
+        renderVirtualRows(table, state);
+    }
+}
+
+// Initialize (last, so every module-level constant above is defined)
+init();
@@ -0,0 +1,104 @@
+// Runs cli.js on sample inputs the way a user would, checking stdout, stderr and the exit code.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-reformatter-cli-'));
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeFile(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+function writePresets(...presets) {
+    return writeFile('presets.json', { type: 'json-reformatter-presets', version: 1, presets });
+}
+
+function cli(...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+const input = writeFile('people.json', { data: { items: [{ name: 'kim', age: 30 }, { name: 'lee', age: 7 }] } });
+
+test('formats the input with the preset', () => {
+    const presets = writePresets({ name: 'plain', config: { fields: ['name', 'age'] } });
+    assert.deepEqual(cli(input, '--preset', presets), { code: 0, stdout: 'kim\t30\nlee\t7', stderr: '' });
+});
+
+test('picks a preset by name and the format from --format', () => {
+    const presets = writePresets(
+        { name: 'names', config: { fields: ['name', 'age'], selectedFields: ['name'] } },
+        { name: 'ages', config: { fields: ['name', 'age'], selectedFields: ['age'] } }
+    );
+    assert.equal(cli(input, '--preset', presets, '--name', 'ages', '--format', 'csv').stdout, 'age\n30\n7');
+});
+
+test('writes --out files and reads CSV input', () => {
+    const csv = writeFile('people.csv', 'name,age\r\nkim,30\r\n');
+    const out = path.join(dir, 'out.json');
+    const presets = writePresets({ name: 'plain', config: { fields: ['name', 'age'] } });
+    const result = cli(csv, '--preset', presets, '--format', 'json', '--out', out);
+    assert.equal(result.code, 0);
+    assert.match(result.stderr, /^Wrote .*out\.json \(json, 1 input records, preset "plain"\)/);
+    assert.deepEqual(JSON.parse(fs.readFileSync(out, 'utf8')), [{ name: 'kim', age: 30 }]);
+});
+
+test('--record-path selects the record array', () => {
+    const root = writeFile('root.json', { a: [{ v: 1 }], b: [{ v: 2 }, { v: 3 }] });
+    const presets = writePresets({ name: 'plain', config: { fields: ['v'] } });
+    assert.equal(cli(root, '--preset', presets, '--record-path', '$.a').stdout, '1');
+});
+
+test('warns about derived field errors', () => {
+    const presets = writePresets({
+        name: 'derived',
+        config: { fields: ['name', 'x'], derivedFields: [{ name: 'x', expr: 'nope(name)' }] }
+    });
+    const result = cli(input, '--preset', presets);
+    assert.equal(result.code, 0);
+    assert.equal(result.stderr, 'Warning: derived field x: 알 수 없는 함수 nope()\n');
+});
+
+test('fails with a message on bad arguments', () => {
+    const presets = writePresets({ name: 'a', config: {} }, { name: 'b', config: {} });
+    assert.equal(cli(input).code, 1);
+    assert.equal(cli(input, '--preset', presets, '--bogus').stderr, 'Error: Unknown option --bogus\n');
+    const ambiguous = cli(input, '--preset', presets);
+    assert.equal(ambiguous.code, 1);
+    assert.match(ambiguous.stderr, /holds 2 presets \("a", "b"\); choose one with --name/);
+    assert.match(cli(input, '--preset', presets, '--name', 'a', '--format', 'pdf').stderr, /Unsupported format "pdf"/);
+});
+
+test('warns once per value that fails its field type, in fixed mode too', () => {
+    const values = writeFile('values.json', [{ a: '1' }, { a: 'x' }, { a: 'y' }]);
+    for (const txtMode of ['plain', 'fixed']) {
+        const presets = writePresets({ name: txtMode, config: { fields: ['a'], fieldTypes: { a: 'integer' }, options: { txtMode } } });
+        const result = cli(values, '--preset', presets);
+        assert.equal(result.code, 0);
+        assert.equal(result.stderr, 'Warning: field a: 2 values could not be converted to integer\n', txtMode);
+    }
+});
+
+test('warns about records failing the preset schema', () => {
+    const schema = { type: 'object', properties: { age: { minimum: 10 } } };
+    const presets = writePresets({ name: 'checked', config: { fields: ['name', 'age'], selectedFields: ['name'], validation: { schema, excludeInvalid: true } } });
+    const result = cli(input, '--preset', presets);
+    assert.equal(result.stdout, 'kim');
+    assert.equal(result.stderr, 'Warning: 1 records fail the JSON Schema (excluded), first at record 2\n');
+});
+
+test('writes files with the preset encoding and line ending', () => {
+    const korean = writeFile('korean.json', [{ a: '한글' }, { a: 'x' }]);
+    const out = path.join(dir, 'out.txt');
+    const presets = writePresets({ name: 'legacy', config: { fields: ['a'], exportOptions: { encoding: 'euc-kr', lineEnding: 'crlf' } } });
+    assert.equal(cli(korean, '--preset', presets, '--out', out).code, 0);
+    assert.equal(fs.readFileSync(out).toString('hex'), 'c7d1b1db0d0a78');
+});
@@ -0,0 +1,361 @@
+// Tests for the DOM-free core, run with "npm test" (node --test).
+// Configs are built with createTransformConfig, the way the CLI builds them from a preset.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+const PEOPLE = [
+    { name: 'kim', age: 30, team: 'a', tags: ['x', 'y'] },
+    { name: 'lee', age: 7, team: 'b', tags: [] },
+    { name: 'park', age: 5, team: 'a', tags: ['z'] }
+];
+
+function format(records, overrides, outputFormat = 'txt') {
+    return core.formatOutput(records, core.createTransformConfig(overrides), outputFormat);
+}
+
+function derive(expr, record = { name: 'kim', age: 30 }) {
+    // Value of a derived field "x" for one record, and the error the expression left (if any)
+    const config = core.createTransformConfig({
+        fields: ['x'],
+        derivedFields: [{ name: 'x', expr }]
+    });
+    const [row] = JSON.parse(core.formatOutput([record], config, 'json'));
+    return { value: row.x, error: config.derivedErrors.x };
+}
+
+// --- Input ---
+
+test('parseDelimited reads quoted cells, doubled quotes and line breaks', () => {
+    const { records, hasHeader, errors } = core.parseDelimited('name;note\n"a;b";"say ""hi"""\nc;"two\nlines"', {
+        delimiter: ';', header: 'auto', inferTypes: true
+    });
+    assert.equal(hasHeader, true);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(records, [{ name: 'a;b', note: 'say "hi"' }, { name: 'c', note: 'two\nlines' }]);
+});
+
+test('parseDelimited infers types but keeps codes with leading zeros as text', () => {
+    const { records, hasHeader } = core.parseDelimited('1,007,true\n2.5,x,null', {
+        delimiter: ',', header: 'auto', inferTypes: true
+    });
+    assert.equal(hasHeader, false);
+    assert.deepEqual(records, [{ col1: 1, col2: '007', col3: true }, { col1: 2.5, col2: 'x', col3: null }]);
+});
+
+test('parseDelimited reports rows with a different column count', () => {
+    const { records, errors } = core.parseDelimited('a,b\n1,2\n3', { delimiter: ',', header: 'yes', inferTypes: true });
+    assert.deepEqual(records[1], { a: 3, b: '' });
+    assert.deepEqual(errors, [{ line: 3, message: 'Expected 2 columns, got 1' }]);
+});
+
+test('parseDelimited nests dotted headers and keeps prototype headers flat', () => {
+    const { records } = core.parseDelimited('address.city,__proto__.polluted\nSeoul,1', {
+        delimiter: ',', header: 'yes', inferTypes: false
+    });
+    assert.deepEqual(records[0].address, { city: 'Seoul' });
+    assert.equal(Object.prototype.hasOwnProperty.call(records[0], '__proto__.polluted'), true);
+    assert.equal({}.polluted, undefined);
+});
+
+test('parseInputText tells JSON, NDJSON and CSV apart', () => {
+    assert.deepEqual(core.parseInputText('[{"a":1}]').root, [{ a: 1 }]);
+    assert.deepEqual(core.parseInputText('{"a":1}\n{"a":2}').root, [{ a: 1 }, { a: 2 }]);
+    assert.deepEqual(core.parseInputText('a,b\n1,2').root, [{ a: 1, b: 2 }]);
+});
+
+test('selectJsonPath follows keys, indexes and wildcards', () => {
+    const root = { data: { items: [{ id: 1 }, { id: 2 }] }, pages: [{ rows: [{ id: 3 }] }, { rows: [{ id: 4 }] }] };
+    assert.equal(core.selectJsonPath(root, '$.data.items'), root.data.items);
+    assert.deepEqual(core.selectJsonPath(root, "$['data'].items[1]"), [{ id: 2 }]);
+    assert.deepEqual(core.selectJsonPath(root, '$.pages[*].rows'), [{ id: 3 }, { id: 4 }]);
+    assert.deepEqual(core.selectJsonPath(root, '$.missing'), []);
+});
+
+test('selectJsonPath only selects own properties', () => {
+    const root = { data: [{ id: 1 }] };
+    assert.deepEqual(core.selectJsonPath(root, '$.__proto__'), []);
+    assert.deepEqual(core.selectJsonPath(root, '$.constructor'), []);
+    assert.deepEqual(core.selectJsonPath(root, '$.data.toString'), []);
+});
+
+// --- Comparison ---
+
+test('looseEquals compares numbers, booleans and text loosely', () => {
+    assert.equal(core.looseEquals(7, '7'), true);
+    assert.equal(core.looseEquals('1,000', 1000), true);
+    assert.equal(core.looseEquals(true, 'true'), true);
+    assert.equal(core.looseEquals('a', 'a'), true);
+    assert.equal(core.looseEquals('a', 'b'), false);
+});
+
+test('looseEquals treats null and undefined as equal only to each other', () => {
+    assert.equal(core.looseEquals(null, undefined), true);
+    assert.equal(core.looseEquals(null, null), true);
+    assert.equal(core.looseEquals(null, 0), false);
+    assert.equal(core.looseEquals(undefined, ''), false);
+    assert.equal(core.looseEquals(0, null), false);
+});
+
+// --- Expressions ---
+
+test('derived field expressions use operators and built-in functions', () => {
+    assert.deepEqual(derive('upper(name) + "-" + (age * 2)'), { value: 'KIM-60', error: undefined });
+    assert.equal(derive('age > 10 ? "old" : "young"').value, 'old');
+    assert.equal(derive('coalesce(missing, "none")').value, 'none');
+    assert.equal(derive('round(10 / 3, 2)').value, 3.33);
+});
+
+test('expressions cannot reach functions or properties outside the sandbox', () => {
+    assert.equal(derive('constructor(1)').error, '알 수 없는 함수 constructor()');
+    assert.equal(derive('eval("1")').error, '알 수 없는 함수 eval()');
+    for (const expr of ['`__proto__`', 'constructor', 'toString', 'name.constructor', 'process', 'this']) {
+        assert.deepEqual(derive(expr), { value: null, error: undefined }, expr);
+    }
+});
+
+test('expression errors are recorded per field instead of thrown', () => {
+    assert.equal(derive('1 +').error, '식이 끝나지 않았습니다');
+    assert.equal(derive('x + 1').error, '계산 필드 순환 참조');
+});
+
+// --- Output ---
+
+test('plain TXT joins values with tabs or spaces', () => {
+    const fields = ['name', 'age', 'tags'];
+    assert.equal(format(PEOPLE.slice(0, 2), { fields }), 'kim\t30\tx, y\nlee\t7\t');
+    assert.equal(format(PEOPLE.slice(0, 2), { fields, options: { useTab: false, fieldSpacing: 2 } }), 'kim  30  x, y\nlee  7  ');
+});
+
+test('single-line TXT puts every record on one line', () => {
+    assert.equal(format(PEOPLE.slice(0, 2), { fields: ['name', 'age'], options: { singleLine: true } }), 'kim\t30 lee\t7');
+});
+
+test('template TXT fills placeholders with alignment', () => {
+    const options = { txtMode: 'template', lineTemplate: '{name}:{age:>3}' };
+    assert.equal(format(PEOPLE.slice(0, 2), { fields: ['name', 'age'], options }), 'kim: 30\nlee:  7');
+});
+
+test('fixed TXT pads columns to the widest value and truncates at the limit', () => {
+    const fields = ['name', 'age', 'tags'];
+    assert.equal(format(PEOPLE.slice(0, 2), { fields, options: { txtMode: 'fixed' } }), 'kim 30 x, y\nlee  7 ');
+    assert.equal(format(PEOPLE.slice(0, 2), { fields, options: { txtMode: 'fixed', fixedMaxWidth: 2 } }), 'k… 30 x…\nl…  7 ');
+});
+
+test('CSV and JSON output contain the selected fields', () => {
+    const fields = ['name', 'tags'];
+    assert.equal(format(PEOPLE.slice(0, 2), { fields }, 'csv'), 'name,tags\nkim,"x, y"\nlee,');
+    assert.deepEqual(JSON.parse(format(PEOPLE.slice(0, 1), { fields: ['name'] }, 'json')), [{ name: 'kim' }]);
+});
+
+test('mapping rules replace values and remove fields', () => {
+    const mappings = [
+        { field: 'name', op: 'equals', from: 'kim', to: 'KIM', type: 'replace' },
+        { field: 'team', op: 'equals', from: 'b', type: 'remove' }
+    ];
+    assert.equal(format(PEOPLE, { fields: ['name', 'team'], mappings }), 'KIM\ta\nlee\npark\ta');
+});
+
+test('row filter groups combine with and/or', () => {
+    const rowFilter = {
+        logic: 'or',
+        groups: [
+            { logic: 'and', conditions: [{ field: 'age', op: 'gt', value: '10' }] },
+            { logic: 'and', conditions: [{ field: 'name', op: 'startsWith', value: 'p' }] }
+        ]
+    };
+    assert.equal(format(PEOPLE, { fields: ['name'], rowFilter }), 'kim\npark');
+});
+
+test('sort keys apply in order', () => {
+    const sortKeys = [{ field: 'team', direction: 'desc', compare: 'string' }, { field: 'age', direction: 'asc' }];
+    assert.equal(format(PEOPLE, { fields: ['name'], sortKeys }), 'lee\npark\nkim');
+});
+
+test('group-by mode prints one row per group with aggregates', () => {
+    const groupBy = {
+        enabled: true,
+        fields: ['team'],
+        aggregates: [{ op: 'sum', field: 'age', as: 'total' }, { op: 'count', field: 'name', as: 'n' }]
+    };
+    assert.equal(format(PEOPLE, { fields: ['team'], groupBy }), 'a\t35\t2\nb\t7\t1');
+});
+
+// --- Analysis ---
+
+test('analyzeRecords counts shown and output rows and renders the preview', () => {
+    const config = core.createTransformConfig({
+        fields: ['name'],
+        rowFilter: { logic: 'and', groups: [{ logic: 'and', conditions: [{ field: 'age', op: 'lt', value: '10' }] }] },
+        groupBy: { enabled: true, fields: ['team'], aggregates: [] }
+    });
+    const result = core.analyzeRecords(PEOPLE, config, { previewRows: 1 });
+    assert.equal(result.shown, 2);
+    assert.equal(result.outputRows, 2);
+    assert.equal(result.preview, 'b');
+});
+
+test('iterateOutput yields the formatOutput text in pieces and reports progress', () => {
+    const config = core.createTransformConfig({ fields: ['name'] });
+    const progress = [];
+    const chunks = [...core.iterateOutput(PEOPLE, config, 'txt', {
+        chunkRows: 2,
+        onProgress: (done, total) => progress.push([done, total])
+    })];
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks.join(''), core.formatOutput(PEOPLE, config, 'txt'));
+    assert.deepEqual(progress, [[2, 3], [3, 3]]);
+});
+
+// --- Schema and types ---
+
+test('inferSchema counts value types per field', () => {
+    const [age] = core.inferSchema([{ age: '30' }, { age: 'x' }, { age: 5 }], ['age']);
+    assert.equal(age.type, 'mixed');
+    assert.equal(age.mainType, 'string');
+    assert.deepEqual(age.counts, { string: 2, integer: 1 });
+    assert.deepEqual(age.inconsistentRows, [2]);
+});
+
+test('coerceValue converts or reports failure', () => {
+    assert.deepEqual(core.coerceValue('12', 'integer'), { value: 12, ok: true });
+    assert.deepEqual(core.coerceValue('1.5', 'integer'), { value: '1.5', ok: false });
+    assert.deepEqual(core.coerceValue('true', 'boolean'), { value: true, ok: true });
+    assert.deepEqual(core.coerceValue('', 'integer'), { value: '', ok: true });
+});
+
+test('coercion failures are counted once per value in every TXT mode', () => {
+    for (const txtMode of ['plain', 'template', 'fixed']) {
+        const config = core.createTransformConfig({
+            fields: ['age'],
+            fieldTypes: { age: 'integer' },
+            options: { txtMode, lineTemplate: '{age}' }
+        });
+        core.formatOutput([{ age: '30' }, { age: 'x' }, { age: 'y' }], config, 'txt');
+        assert.deepEqual(config.coercionErrors, { age: 2 }, txtMode);
+    }
+});
+
+// --- Validation ---
+
+const AGE_SCHEMA = { type: 'object', required: ['name'], properties: { age: { type: 'integer', minimum: 6 } } };
+
+test('validateRecords lists the failing rows with their errors', () => {
+    const invalid = core.validateRecords(PEOPLE.concat([{ age: 40 }]), AGE_SCHEMA);
+    assert.deepEqual(invalid.map(r => r.row), [2, 3]);
+    assert.deepEqual(invalid[0].errors.map(e => [e.path, e.keyword]), [['age', 'minimum']]);
+    assert.deepEqual(invalid[1].errors.map(e => e.keyword), ['required']);
+});
+
+test('checkJsonSchema rejects schemas that cannot be used', () => {
+    assert.doesNotThrow(() => core.checkJsonSchema(AGE_SCHEMA));
+    assert.throws(() => core.checkJsonSchema({ type: 'bogus' }), /알 수 없는 type/);
+    assert.throws(() => core.checkJsonSchema({ required: 'name' }), /required는 배열이어야 합니다/);
+    assert.throws(() => core.checkJsonSchema([]), /JSON 객체여야 합니다/);
+});
+
+test('excludeInvalid leaves failing rows out of the output', () => {
+    const validation = { schema: AGE_SCHEMA, excludeInvalid: true };
+    assert.equal(format(PEOPLE, { fields: ['name'], validation }), 'kim\nlee');
+});
+
+test('analyzeRecords includes the schema and the invalid rows', () => {
+    const config = core.createTransformConfig({ fields: ['name', 'age'], validation: { schema: AGE_SCHEMA } });
+    const result = core.analyzeRecords(PEOPLE, config);
+    assert.deepEqual(result.schema.map(s => [s.field, s.type]), [['name', 'string'], ['age', 'integer']]);
+    assert.deepEqual(result.invalid.map(r => r.row), [2]);
+    assert.equal(core.analyzeRecords(PEOPLE, core.createTransformConfig({ fields: ['name'] })).invalid, null);
+});
+
+// --- Value formats ---
+
+test('field formats apply number, date and text steps', () => {
+    const fieldFormats = {
+        name: { kind: 'text', textCase: 'title' },
+        amount: { kind: 'number', decimals: 1 },
+        day: { kind: 'date', dateInput: 'YYYY-MM-DD', dateOutput: 'YYYY.MM.DD' },
+        code: { kind: 'text', padChar: '0', padLength: 3, padSide: 'start' }
+    };
+    const record = { name: 'kim lee', amount: 1234567.891, day: '2024-03-05', code: '7' };
+    assert.equal(format([record], { fields: ['name', 'amount', 'day', 'code'], fieldFormats }), 'Kim Lee\t1,234,567.9\t2024.03.05\t007');
+});
+
+// --- CSV dialect ---
+
+test('CSV options set delimiter, quoting, null text, labels, formula guard, line ending and BOM', () => {
+    const csvOptions = {
+        delimiter: ';', quote: 'always', nullValue: 'NULL', formulaGuard: true,
+        headerLabels: { name: '이름' }, lineEnding: 'crlf', bom: true
+    };
+    const record = { name: 'kim', f: '=SUM(A1)', n: null };
+    assert.equal(format([record], { fields: ['name', 'f', 'n'], csvOptions }, 'csv'),
+        '﻿"이름";"f";"n"\r\n"kim";"\'=SUM(A1)";"NULL"');
+});
+
+// --- Other formats ---
+
+test('Markdown, XML, YAML and SQL exporters', () => {
+    const records = [{ name: 'kim', code: '7' }];
+    const fields = ['name', 'code'];
+    assert.equal(format(records, { fields }, 'md'), '| name | code |\n| --- | --- |\n| kim | 7 |');
+    assert.equal(format(records, { fields }, 'xml'),
+        '<?xml version="1.0" encoding="UTF-8"?>\n<records>\n  <record>\n    <name>kim</name>\n    <code>7</code>\n  </record>\n</records>\n');
+    assert.equal(format(records, { fields }, 'yaml'), '- name: kim\n  code: "7"\n');
+    assert.equal(format(records, { fields }, 'sql'), "INSERT INTO `records` (`name`, `code`) VALUES ('kim', '7');\n");
+});
+
+test('HTML escapes values and XLSX is a ZIP workbook', () => {
+    assert.match(format([{ name: '<b>&' }], { fields: ['name'] }, 'html'), /<td>&lt;b&gt;&amp;<\/td>/);
+    const chunks = [...core.iterateOutput(PEOPLE, core.createTransformConfig({ fields: ['name'] }), 'xlsx')];
+    assert.ok(chunks.every(chunk => chunk instanceof Uint8Array));
+    assert.equal(Buffer.from(chunks[0].slice(0, 4)).toString('latin1'), 'PK\u0003\u0004');
+});
+
+// --- Text shapes ---
+
+test('JSON and CSV shapes wrap the TXT output', () => {
+    const fields = ['name', 'age'];
+    const records = PEOPLE.slice(0, 2);
+    assert.deepEqual(JSON.parse(format(records, { fields, exportOptions: { jsonShape: 'result' } }, 'json')), { result: 'kim\t30\nlee\t7' });
+    assert.deepEqual(JSON.parse(format(records, { fields, exportOptions: { jsonShape: 'lines' } }, 'json')), ['kim\t30', 'lee\t7']);
+    assert.equal(format(records, { fields, exportOptions: { csvShape: 'result' } }, 'csv'), 'result\nkim\t30\nlee\t7');
+    assert.equal(format(records, { fields, exportOptions: { trailingNewline: true } }), 'kim\t30\nlee\t7\n');
+});
+
+// --- File encoding ---
+
+test('encoded output uses the chosen encoding and line ending', () => {
+    const config = core.createTransformConfig({ fields: ['a'], exportOptions: { encoding: 'euc-kr', lineEnding: 'crlf' } });
+    const bytes = [...core.iterateOutput([{ a: '한글' }, { a: 'x' }], config, 'txt', { encode: true })];
+    assert.equal(Buffer.concat(bytes.map(b => Buffer.from(b))).toString('hex'), 'c7d1b1db0d0a78');
+    assert.equal(config.unencodableChars, 0);
+});
+
+// --- Batch ---
+
+test('iterateOutputZip packs one uniquely named file per input', () => {
+    const files = [{ name: 'a', records: [{ v: 1 }] }, { name: 'a', records: [{ v: 2 }] }];
+    const zip = Buffer.concat([...core.iterateOutputZip(files, core.createTransformConfig({ fields: ['v'] }), 'txt')].map(b => Buffer.from(b)));
+    assert.equal(zip.readUInt32LE(0), 0x04034b50);
+    const text = zip.toString('latin1');
+    assert.ok(text.includes('a.txt') && text.includes('a (2).txt'));
+});
+
+// --- Join ---
+
+test('joinRecords matches keys as text and renames conflicting columns', () => {
+    const records = [{ id: 1, v: 'a' }, { id: 2, v: 'b' }];
+    const lookup = [{ key: '1', v: 'L', w: 'W' }, { key: 3, w: 'Z' }];
+    const result = core.joinRecords(records, lookup, { leftKey: 'id', rightKey: 'key', mode: 'full' });
+    assert.deepEqual(result.records, [{ id: 1, v: 'a', v_lookup: 'L', w: 'W' }, { id: 2, v: 'b' }, { id: 3, w: 'Z' }]);
+    assert.deepEqual(result.stats, { matched: 1, unmatched: 1, lookupOnly: 1 });
+});
+
+test('joinRecords writes lookup columns as own properties', () => {
+    const lookup = JSON.parse('[{ "key": 1, "__proto__": { "polluted": true } }]');
+    const [joined] = core.joinRecords([{ id: 1 }], lookup, { leftKey: 'id', rightKey: 'key', mode: 'inner' }).records;
+    assert.equal(Object.prototype.hasOwnProperty.call(joined, '__proto__'), true);
+    assert.equal(joined.polluted, undefined);
+    assert.equal({}.polluted, undefined);
+});
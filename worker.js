@@ -0,0 +1,79 @@
+/**
+ * JSON Re-Formatter Worker
+ * Runs core.js parsing and formatting off the main thread for large inputs.
+ *
+ * Messages in:  { id, type: 'parse', text, importOptions, recordPath }
+ *               { id, type: 'format', records, config, format }
+ *               { id, type: 'export', records, config, format, mime }  (result is { blob, unencodable })
+ *               { id, type: 'zip', files, config, format }  (one output per { name, records }, same result)
+ *               { id, type: 'analyze', config, previewRows, records }  (analyzeRecords; records only
+ *                 when they changed, the worker keeps the last ones sent)
+ * Messages out: { id, type: 'progress', label, percent }  (percent is null when unknown)
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ * Cancelling is done by terminating the worker.
+ */
+
+importScripts('core.js');
+
+function reportProgress(id, label, percent = null) {
+    self.postMessage({ id, type: 'progress', label, percent });
+}
+
+function parseTask(id, { text, importOptions, recordPath }) {
+    reportProgress(id, '입력 분석 중', 10);
+    const input = parseInputText(text, importOptions);
+
+    reportProgress(id, '레코드 배열 찾는 중', 80);
+    const candidates = findRecordArrays(input.root);
+    const path = pickRecordPath(input.root, candidates, recordPath);
+
+    reportProgress(id, '결과 전송 중', 95);
+    return { input, candidates, path };
+}
+
+function formatTask(id, { records, config, format }) {
+    reportProgress(id, '결과 생성 중');
+    return formatOutput(records, createTransformConfig(config), format);
+}
+
+function exportTask(id, { records, config, format, mime }) {
+    // The file is assembled from per-chunk Blob parts instead of one big string
+    const parts = [];
+    const transformConfig = createTransformConfig(config);
+    const chunks = iterateOutput(records, transformConfig, format, {
+        encode: true,
+        onProgress: (done, total) => reportProgress(id, '파일 생성 중', Math.floor(done / total * 100))
+    });
+    for (const chunk of chunks) {
+        parts.push(chunk);
+    }
+    return { blob: new Blob(parts, { type: mime }), unencodable: transformConfig.unencodableChars };
+}
+
+function zipTask(id, { files, config, format }) {
+    const transformConfig = createTransformConfig(config);
+    const parts = [...iterateOutputZip(files, transformConfig, format, {
+        onProgress: (done, total) => reportProgress(id, `파일 생성 중 (${done}/${total})`, Math.floor(done / total * 100))
+    })];
+    return { blob: new Blob(parts, { type: 'application/zip' }), unencodable: transformConfig.unencodableChars };
+}
+
+let analysisRecords = []; // The page's records, as last sent with an analyze task
+
+function analyzeTask(id, { config, previewRows, records }) {
+    if (records) analysisRecords = records;
+    return analyzeRecords(analysisRecords, createTransformConfig(config), { previewRows });
+}
+
+const TASKS = { parse: parseTask, format: formatTask, export: exportTask, zip: zipTask, analyze: analyzeTask };
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    try {
+        const result = TASKS[msg.type](msg.id, msg);
+        self.postMessage({ id: msg.id, type: 'result', result });
+    } catch (err) {
+        self.postMessage({ id: msg.id, type: 'error', message: err.message });
+    }
+};